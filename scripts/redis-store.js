@@ -0,0 +1,162 @@
+/**
+ * Exercises the built-in RESP client / Redis state store against a real redis-server: every store
+ * method, pipelining, TTLs and SET NX, then the offline queue (commands time out and leave the queue,
+ * a full queue rejects at once).
+ *
+ *   REDIS_URL=redis://127.0.0.1:6379/15 node scripts/redis-store.js   (npm run test:redis)
+ *
+ * Without REDIS_URL it starts `redis-server` from PATH on a spare port; if there is none it prints
+ * "skipped" and exits 0. Keys are written under a per-run prefix and removed afterwards.
+ * Exits 0 on success, 1 with the failing check otherwise.
+ */
+const assert = require("assert");
+const { spawn, spawnSync } = require("child_process");
+const net = require("net");
+const path = require("path");
+
+const PREFIX = `redis-store-test:${process.pid}:`;
+const OFFLINE_TIMEOUT_MS = 300;
+const OFFLINE_QUEUE_MAX = 5;
+
+Object.assign(process.env, {
+  NODE_ENV: "test",
+  POLYGON_API_KEY: "redis-store",
+  STATE_STORE: "memory",
+  STATE_STORE_PREFIX: PREFIX,
+  REDIS_COMMAND_TIMEOUT_MS: String(OFFLINE_TIMEOUT_MS),
+  REDIS_OFFLINE_QUEUE_MAX: String(OFFLINE_QUEUE_MAX),
+  APP_TOKEN: "",
+  ADMIN_TOKEN: "",
+  AUTH_REQUIRED: "",
+  SHARED_TICKERS_FILE: "",
+  API_KEYS_FILE: "",
+});
+
+function fail(message) {
+  console.error(`redis-store: FAIL ${message}`);
+  process.exit(1);
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once("error", reject);
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+async function startRedisServer() {
+  if (spawnSync("redis-server", ["--version"]).error) return null;
+  const port = await freePort();
+  const child = spawn("redis-server", ["--port", String(port), "--save", "", "--appendonly", "no"], { stdio: "ignore" });
+  for (let i = 0; i < 50; i++) {
+    const up = await new Promise(resolve => {
+      const s = net.createConnection(port, "127.0.0.1", () => { s.end(); resolve(true); });
+      s.on("error", () => resolve(false));
+    });
+    if (up) return { url: `redis://127.0.0.1:${port}`, child };
+    await sleep(100);
+  }
+  child.kill();
+  fail("redis-server did not start");
+}
+
+async function checkStore(store, client) {
+  for (let i = 0; i < 50 && !store.status().connected; i++) await sleep(100);
+  assert.deepStrictEqual(store.status(), { backend: "redis", connected: true });
+
+  const val = { s: "line\r\nbreak ✓", n: 1.5, a: [1, null] };
+  await store.set("kv", val);
+  assert.deepStrictEqual(await store.get("kv"), val);
+  assert.strictEqual(await store.get("missing"), null);
+  await store.del("kv");
+  assert.strictEqual(await store.get("kv"), null);
+
+  await store.set("ttl", 1, 100);
+  assert.strictEqual(await store.get("ttl"), 1);
+  await sleep(250);
+  assert.strictEqual(await store.get("ttl"), null, "PX expiry");
+
+  assert.strictEqual(await store.setnx("lock", "a", 200), true);
+  assert.strictEqual(await store.setnx("lock", "b", 200), false);
+  assert.strictEqual(await store.get("lock"), "a");
+  await sleep(300);
+  assert.strictEqual(await store.setnx("lock", "c", 200), true, "SET NX after expiry");
+
+  assert.strictEqual(await store.incr("n"), 1);
+  assert.strictEqual(await store.incr("n"), 2);
+  const windowed = await Promise.all([store.incr("w", 5000), store.incr("w", 5000), store.incr("w", 5000)]);
+  assert.deepStrictEqual(windowed, [1, 2, 3]);
+  const pttl = await client.command(["PTTL", PREFIX + "w"]);
+  assert.ok(pttl > 0 && pttl <= 5000, `incr window keeps its TTL (${pttl})`);
+
+  await store.hset("h", "a", { x: 1 });
+  await store.hset("h", "b", "two");
+  assert.deepStrictEqual(await store.hget("h", "a"), { x: 1 });
+  assert.deepStrictEqual(await store.hgetall("h"), { a: { x: 1 }, b: "two" });
+  assert.strictEqual(await store.hdel("h", "a"), true);
+  assert.strictEqual(await store.hdel("h", "a"), false);
+  assert.deepStrictEqual(await store.hgetall("empty"), {});
+
+  for (let i = 1; i <= 5; i++) await store.rpush("l", { i });
+  await store.ltrim("l", -3, -1);
+  assert.deepStrictEqual(await store.lrange("l", 0, -1), [{ i: 3 }, { i: 4 }, { i: 5 }]);
+
+  // Many commands in flight at once must come back in order on the one socket.
+  const many = await Promise.all(Array.from({ length: 500 }, (_, i) => store.incr("pipelined").then(n => [i, n])));
+  assert.ok(many.every(([i, n]) => n === i + 1), "pipelined replies out of order");
+
+  await assert.rejects(client.command(["NOSUCHCOMMAND"]), /unknown command/i);
+  assert.strictEqual(await store.get("kv"), null, "connection usable after an error reply");
+}
+
+async function checkOfflineQueue(createRedisClient) {
+  const client = createRedisClient(`redis://127.0.0.1:${await freePort()}`);
+  const queued = Array.from({ length: OFFLINE_QUEUE_MAX }, () => client.command(["PING"]));
+  await assert.rejects(client.command(["PING"]), /offline queue full/);
+  for (const p of queued) await assert.rejects(p, /timed out/);
+  // Timed-out commands left the queue, so there is room again.
+  const again = Array.from({ length: OFFLINE_QUEUE_MAX }, () => client.command(["PING"]));
+  for (const p of again) await assert.rejects(p, /timed out/);
+  client.close();
+}
+
+async function main() {
+  let url = process.env.REDIS_URL || "";
+  let child = null;
+  if (!url) {
+    const started = await startRedisServer();
+    if (!started) {
+      console.log("redis-store: skipped (set REDIS_URL or put redis-server on PATH)");
+      process.exit(0);
+    }
+    ({ url, child } = started);
+  }
+  process.env.REDIS_URL = "";
+  const { createRedisClient, createRedisStore } = require(path.join(__dirname, "..", "server.js"));
+
+  const store = createRedisStore(url);
+  const client = createRedisClient(url);
+  let error = null;
+  try {
+    await checkStore(store, client);
+    await checkOfflineQueue(createRedisClient);
+  } catch (e) {
+    error = e;
+  }
+  const keys = await client.command(["KEYS", `${PREFIX}*`]).catch(() => []);
+  if (keys.length) await client.command(["DEL", ...keys]).catch(() => {});
+  store.close();
+  client.close();
+  child?.kill();
+  if (error) fail(error.stack || error.message);
+  console.log(`redis-store: OK against ${url.replace(/\/\/[^@]*@/, "//")}`);
+  process.exit(0);
+}
+
+main();
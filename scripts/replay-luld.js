@@ -0,0 +1,105 @@
+/**
+ * Replay test for scanner halts: a fake Massive stocks socket replays LULD band / pause / re-opening
+ * events and we check that /ws/scanner publishes `halt` and `resume` and sets the row's halt fields.
+ *
+ * Runs server.js in-process with REST stubbed (no network, no API keys needed):
+ *   node scripts/replay-luld.js          (npm run test:replay)
+ * Exits 0 on success, 1 with the failing check otherwise.
+ */
+const assert = require("assert");
+const path = require("path");
+const WebSocket = require("ws");
+
+const SYMBOL = "HALT";
+const PORT = parseInt(process.env.REPLAY_PORT, 10) || 18181;
+const UPSTREAM_PORT = parseInt(process.env.REPLAY_UPSTREAM_PORT, 10) || 18182;
+const TIMEOUT_MS = 15000;
+
+// Wire frames from the Massive stocks socket (one array of events per frame, `t` in µs): an intra-day
+// band update (21), bands suspended for a halt (23, zeroed bands), then the re-opening update (24).
+const FRAMES = require("./fixtures/luld-halt.json");
+const EVENTS = FRAMES.flat();
+
+Object.assign(process.env, {
+  NODE_ENV: "test",
+  POLYGON_API_KEY: "replay",
+  MASSIVE_API_KEY: "replay",
+  MASSIVE_STOCKS_WS_URL: `ws://127.0.0.1:${UPSTREAM_PORT}`,
+  STATE_STORE: "memory",
+  REDIS_URL: "",
+  APP_TOKEN: "",
+  ADMIN_TOKEN: "",
+  AUTH_REQUIRED: "",
+  SHARED_TICKERS_FILE: "",
+  API_KEYS_FILE: "",
+});
+
+// The gainers snapshot puts SYMBOL in the scanner universe; every other REST call gets an empty result.
+global.fetch = async (url) => {
+  const p = new URL(url).pathname;
+  const body = p.endsWith("/gainers")
+    ? { tickers: [{ ticker: SYMBOL, lastTrade: { p: 10.5 }, prevDay: { c: 8, v: 1e6 }, todaysChange: 2.5, todaysChangePerc: 31.25, day: { v: 2e6 } }] }
+    : { results: [] };
+  return new Response(JSON.stringify(body), { status: 200, headers: { "content-type": "application/json" } });
+};
+
+function fail(message) {
+  console.error(`replay-luld: FAIL ${message}`);
+  process.exit(1);
+}
+
+const upstream = new WebSocket.Server({ port: UPSTREAM_PORT });
+upstream.on("connection", (sock) => {
+  sock.send(JSON.stringify([{ ev: "status", status: "connected", message: "Connected Successfully" }]));
+  let replayed = false;
+  sock.on("message", (msg) => {
+    let parsed = null;
+    try { parsed = JSON.parse(msg.toString()); } catch { return; }
+    if (parsed?.action === "auth") {
+      sock.send(JSON.stringify([{ ev: "status", status: "auth_success", message: "authenticated" }]));
+      return;
+    }
+    if (parsed?.action !== "subscribe" || replayed) return;
+    if (!String(parsed.params || "").split(",").includes(`LULD.${SYMBOL}`)) return;
+    replayed = true;
+    FRAMES.forEach((frame, idx) => setTimeout(() => sock.send(JSON.stringify(frame)), 200 * (idx + 1)));
+  });
+});
+
+const { server } = require(path.join(__dirname, "..", "server.js"));
+server.listen(PORT, "127.0.0.1");
+
+const timer = setTimeout(() => fail(`timed out after ${TIMEOUT_MS}ms`), TIMEOUT_MS);
+const seen = { halt: null, resume: null, row: null };
+
+setTimeout(() => {
+  const client = new WebSocket(`ws://127.0.0.1:${PORT}/ws/scanner`);
+  client.on("error", (e) => fail(`scanner socket: ${e.message}`));
+  client.on("message", (msg) => {
+    const m = JSON.parse(msg.toString());
+    if (m.type === "halt" || m.type === "resume") {
+      if (seen[m.type]) fail(`duplicate ${m.type} message`);
+      seen[m.type] = m;
+    }
+    if (m.type === "upsert") {
+      const row = (m.rows || []).find(r => r.symbol === SYMBOL);
+      if (row) seen.row = row;
+    }
+    if (!seen.halt || !seen.resume || seen.row?.haltStatus !== "resumed") return;
+    try {
+      assert.strictEqual(seen.halt.symbol, SYMBOL);
+      assert.strictEqual(seen.halt.luldUpper, 11.5);
+      assert.strictEqual(seen.halt.reason, "LULD: Bands suspended during trading halt or pause");
+      assert.strictEqual(seen.halt.haltTime, new Date(Math.floor(EVENTS[1].t / 1000)).toISOString());
+      assert.strictEqual(seen.resume.resumeTime, new Date(Math.floor(EVENTS[2].t / 1000)).toISOString());
+      assert.strictEqual(seen.row.luldUpper, 12.1);
+      assert.strictEqual(seen.row.luldLower, 9.9);
+      assert.strictEqual(seen.row.haltTime, seen.halt.haltTime);
+    } catch (e) {
+      fail(e.message);
+    }
+    clearTimeout(timer);
+    console.log("replay-luld: OK halt and resume published for", SYMBOL);
+    process.exit(0);
+  });
+}, 300);
@@ -5,15 +5,28 @@
  *   GET  /health
  *   GET  /api                            -> Route manifest + version (no token)
  *   GET  /api/health                    -> Health check for scanner compatibility
+ *   GET  /metrics                       -> Metrics JSON; Prometheus text with ?format=prometheus or Accept: text/plain
  *   GET  /api/gainers                   -> Top gainers for scanner (formatted)
  *   POST /api/scan/rct                  -> Server-side batch RCT scan
  *   GET  /api/float/:symbol             -> Free float (Massive); fallback Polygon ticker overview
  *   GET  /api/historical/:symbol        -> Historical price data
  *   GET  /api/news/:symbol              -> News via Massive (?source=benzinga|stocks, ?limit=N)
- *   GET  /api/shared-tickers            -> Get all shared tickers (clears at 6 PM EST)
- *   POST /api/shared-tickers            -> Add a shared ticker (developer mode only)
- *   DELETE /api/shared-tickers/:symbol  -> Remove a shared ticker
- *   GET  /gainers                       -> Intraday top gainers (snapshot API) w/ grouped fallback
+ *   GET  /api/indicators/:symbol        -> Indicator series (?set=rsi14,ema9,macd&timespan=5minute&limit=N)
+ *   POST /api/indicators/batch          -> Indicators for many tickers in one call (bounded concurrency)
+ *   GET  /api/shared-tickers            -> Today's shared tickers (list rolls to the next trading day at 6 PM ET)
+ *   GET  /api/shared-tickers/archive    -> Past days' lists (?date=YYYY-MM-DD | ?from=&to= | index)
+ *   GET  /api/shared-tickers/audit      -> Add/update/remove/archive events (?date=, ?symbol=, ?user=, ?limit=)
+ *   POST /api/shared-tickers            -> Add a shared ticker {symbol, notes?, entry?, stop?, target?, tags?} (developer role)
+ *   PATCH /api/shared-tickers/:symbol   -> Update notes / entry / stop / target / tags (developer role)
+ *   DELETE /api/shared-tickers/:symbol  -> Remove a shared ticker (developer role)
+ *   GET  /api/auth/whoami               -> Identity and role of the presented API key
+ *   POST /api/ws/ticket                 -> Exchange credentials for a signed single-use WS ticket {path?}
+ *   GET  /api/admin/keys                -> List API keys (admin role; hashes never returned)
+ *   POST /api/admin/keys                -> Issue an API key {user, role, label} (admin role; key shown once)
+ *   POST /api/admin/keys/:id/rotate     -> Replace a key's secret, old one stops working (admin role)
+ *   DELETE /api/admin/keys/:id          -> Revoke an API key (admin role)
+ *   GET  /api/config                    -> Redacted server config (admin role)
+ *   GET  /gainers                       -> Intraday top gainers (snapshot API) w/ grouped fallback (?cluster=stocks|crypto|forex)
  *   GET  /most_active                   -> Most active by volume (?limit=N)
  *   GET  /market/top-gainers            -> Alias of /gainers
  *   GET  /symbol/:symbol                -> Polygon symbol snapshot passthrough
@@ -22,7 +35,11 @@
  *   GET  /previous_close/:symbol        -> Previous close
  *   GET  /historical/:symbol            -> Day/Minute historical (for scanners)
  *   GET  /quote/:symbol                 -> Quote shape used by the clean scanner
- *   WS   /ws                            -> Polygon WS passthrough
+ *        :symbol routes take stocks (AAPL) or prefixed O:/X:/C:/I: tickers (O:SPY251219C00650000, X:BTCUSD,
+ *        C:EURUSD, I:SPX); an optional ?cluster= must match the ticker's asset class
+ *   WS   /ws                            -> Polygon WS passthrough (?cluster=stocks|options|crypto|forex|indices;
+ *                                          one shared upstream per cluster; per-client subscriptions)
+ *   WS   /ws/shared                     -> Shared ticker add/update/remove/reset events (snapshot on connect)
  *
  * Env:
  *   POLYGON_API_KEY           (required)
@@ -31,22 +48,78 @@
  *   NEWS_CACHE_BENZINGA_SEC   (optional) News cache TTL seconds for Benzinga; default 30
  *   NEWS_CACHE_STOCKS_SEC     (optional) News cache TTL seconds for Stocks news; default 180
  *   NEWS_RATE_LIMIT_PER_MIN   (optional) Max /api/news requests per IP per minute; default 60
- *   NEWS_RATE_MAP_MAX         (optional) Max IP entries in news rate map; default 10000 (prune when over)
  *   FUND_CACHE_MAX           (optional) Max entries in fundamentals cache; default 5000
  *   NEWS_CACHE_MAX           (optional) Max entries in news cache; default 2000
+ *   UPSTREAM_CACHE_MAX       (optional) Max cached Polygon/Massive response bodies (per-endpoint TTLs); default 2000
+ *   UPSTREAM_CACHE_MAX_MB    (optional) Approximate size cap of those bodies (and again of their last-known-good copies); default 128
+ *   UPSTREAM_POLYGON_RPS     (optional) Polygon requests/second across all routes and loops; default 50
+ *   UPSTREAM_MASSIVE_RPS     (optional) Massive requests/second across all routes and loops; default 20
+ *   UPSTREAM_BURST_SEC       (optional) Token bucket size in seconds of rate (burst allowance); default 1
+ *   UPSTREAM_QUEUE_MAX       (optional) Waiting requests per service and lane before shedding with 503; default 200
+ *   BREAKER_FAILURE_THRESHOLD (optional) Consecutive upstream failures (5xx/timeout/network) that open a service's circuit; default 5
+ *   BREAKER_COOLDOWN_MS      (optional) Time an open circuit fails fast before a half-open probe; default 30000
+ *   UPSTREAM_LKG_MAX_AGE_SEC (optional) Max age of last-known-good bodies served (stale: true) during outages; default 21600
+ *   STATE_STORE              (optional) memory|redis backend for caches, rate limits, shared tickers; default redis when REDIS_URL is set
+ *   REDIS_URL                (optional) redis://[user:pass@]host:6379/db (rediss:// for TLS); lets several instances share state
+ *   STATE_STORE_PREFIX       (optional) Key prefix in Redis; default polygon-proxy:
+ *   REDIS_COMMAND_TIMEOUT_MS (optional) Per-command Redis timeout; default 2000
+ *   REDIS_OFFLINE_QUEUE_MAX  (optional) Commands queued while Redis is down before new ones fail at once; default 1000
+ *   SHARED_CACHE_MAX_VALUE_BYTES (optional) Larger cache entries stay local instead of being written to Redis; default 262144
+ *   AUTH_REQUIRED            (optional) Set 1 to require an API key outside production; always on in production
+ *                                       or when APP_TOKEN/ADMIN_TOKEN is set. Keys go in Authorization: Bearer <key> or x-api-key
+ *   ADMIN_TOKEN              (optional) Break-glass admin credential (x-admin-token or any key header) for issuing API keys;
+ *                                       production refuses to start without ADMIN_TOKEN or APP_TOKEN
+ *   APP_TOKEN                (optional) Legacy shared x-app-token; still accepted with role APP_TOKEN_ROLE
+ *   APP_TOKEN_ROLE           (optional) Role granted to APP_TOKEN (viewer|trader|developer|admin); default viewer
+ *   ANONYMOUS_ROLE           (optional) Role of unauthenticated requests when auth is not enforced (local dev); default viewer
+ *   API_KEY_PEPPER           (optional) Secret mixed into API key hashes (HMAC-SHA256) at rest
+ *   API_KEYS_FILE            (optional) JSON file that keeps issued (hashed) keys across restarts without Redis
+ *   SHARED_TICKERS_FILE      (optional) Current shared-ticker list (archive/audit go to <file>.archive.jsonl / .audit.jsonl);
+ *                                       default data/shared-tickers.json without Redis, unset with Redis or in production
+ *                                       (set "" to disable). Needs a persistent disk; production without it or Redis warns
+ *                                       at startup and keeps shared tickers in memory only
+ *   SHARED_TICKERS_ARCHIVE_DAYS (optional) Days of archived shared-ticker lists kept; default 365
+ *   SHARED_TICKERS_AUDIT_MAX (optional) Shared-ticker audit events kept; default 10000
+ *   WS_MIN_ROLE              (optional) Minimum role for /ws, /ws/scanner and /ws/shared upgrades; default viewer
+ *   WS_TICKET_SECRET         (optional) HMAC secret for WS tickets; set the same value on every instance (default: random per process)
+ *   WS_TICKET_TTL_SEC        (optional) Lifetime of a WS ticket; default 30
+ *   WS_ALLOW_QUERY_CREDENTIALS (optional) Set 1 to accept deprecated ?api_key= / ?app_token= on WS upgrades (they leak into
+ *                                       logs); default rejected, use POST /api/ws/ticket
+ *   WS_AUTH_RECHECK_MS       (optional) How often open sockets' API keys are re-checked; revoked, rotated or re-roled keys are
+ *                                       disconnected; default 60000
+ *   WS_MAX_CONNECTIONS_PER_USER (optional) Concurrent /ws + /ws/scanner + /ws/shared sockets per API key, or per client IP for
+ *                                       shared credentials (APP_TOKEN, ADMIN_TOKEN, anonymous) (0 = unlimited); default 10
+ *   POLYGON_WS_BASE_URL      (optional) Upstream for /ws, the cluster is appended; default wss://socket.polygon.io
+ *   WS_MAX_SUBSCRIPTIONS_PER_CLIENT (optional) Channels one /ws connection may subscribe to; default 1000
+ *   WS_PING_INTERVAL_MS      (optional) Ping interval for WS clients and the /ws upstream; a missed pong drops the peer; default 30000
  *   TRUST_PROXY              (optional) Set to 1 or true when behind nginx/load balancer so req.ip is correct
+ *   SCANNER_ORB_MINUTES      (optional) Opening-range window for /ws/scanner breakouts (1|5|15|30); default 5
+ *   SCANNER_RVOL_DAYS        (optional) Days of minute history for time-of-day RVOL on /ws/scanner; default 10
+ *   SCANNER_SPARKLINE_POINTS (optional) Minute closes kept per /ws/scanner row for sparklineData; default 30
+ *   SCANNER_LULD             (optional) Set 0 to skip LULD/halt channels on the Massive scanner upstream; default 1
+ *   SCANNER_LULD_HALT_INDICATORS (optional) Comma-separated LULD `i` indicator codes that mean a halt/pause; default 23
+ *   SCANNER_NEWS_REFRESH_MS  (optional) Benzinga headline refresh for /ws/scanner rows; default 60000
+ *   SCANNER_NEWS_LOOKBACK_HOURS (optional) Headlines newer than this set hasNews/catalystType; default 24
+ *   INDICATOR_BATCH_MAX      (optional) Max tickers per POST /api/indicators/batch; default 300
+ *   INDICATOR_BATCH_CONCURRENCY (optional) Tickers fetched/computed in parallel by one batch request; default 8
  *   SHUTDOWN_GRACE_MS        (optional) Grace period before force-exit on SIGTERM/SIGINT; default 10000
  *   PORT                     (default 8080)
  */
 
 try { require("dotenv").config(); } catch (_) { }
 
+const crypto = require("crypto");
+const fs = require("fs");
 const http = require("http");
+const net = require("net");
+const path = require("path");
+const tls = require("tls");
 const express = require("express");
 const cors = require("cors");
 const compression = require("compression");
 const helmet = require("helmet");
 const WebSocket = require("ws");
+const { AsyncLocalStorage } = require("async_hooks");
 
 // --- App setup ---
 const app = express();
@@ -83,25 +156,115 @@ const MASSIVE_API_KEY = process.env.MASSIVE_API_KEY || POLYGON_API_KEY;
 const UPSTREAM_TIMEOUT_MS = parseInt(process.env.UPSTREAM_TIMEOUT_MS, 10) || 12000;
 const UPSTREAM_RETRIES = parseInt(process.env.UPSTREAM_RETRIES, 10) || 2; // additional attempts after the first
 const UPSTREAM_MAX_BODY_CHARS = parseInt(process.env.UPSTREAM_MAX_BODY_CHARS, 10) || 2000;
+const UPSTREAM_RPS = {
+  Polygon: parseFloat(process.env.UPSTREAM_POLYGON_RPS) || 50,
+  Massive: parseFloat(process.env.UPSTREAM_MASSIVE_RPS) || 20,
+};
+const UPSTREAM_BURST_SEC = parseFloat(process.env.UPSTREAM_BURST_SEC) || 1;
+const UPSTREAM_QUEUE_MAX = parseInt(process.env.UPSTREAM_QUEUE_MAX, 10) || 200;
+const BREAKER_FAILURE_THRESHOLD = parseInt(process.env.BREAKER_FAILURE_THRESHOLD, 10) || 5;
+const BREAKER_COOLDOWN_MS = parseInt(process.env.BREAKER_COOLDOWN_MS, 10) || 30000;
 
 // --- Security middleware ---
-// App token middleware for stock endpoints (protects Polygon quota)
+// Every request (and WS upgrade) resolves to an identity {id, user, role, via}. Credentials: issued API keys
+// (pxk_<id>_<secret>, stored hashed in STATE_STORE), ADMIN_TOKEN (admin) and the legacy APP_TOKEN.
 const APP_TOKEN = process.env.APP_TOKEN;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
 const isProduction = process.env.NODE_ENV === "production";
-if (isProduction && !APP_TOKEN) {
-  throw new Error("APP_TOKEN is required in production. Set APP_TOKEN in env.");
+const ROLES = ["viewer", "trader", "developer", "admin"];
+const APP_TOKEN_ROLE = ROLES.includes(process.env.APP_TOKEN_ROLE) ? process.env.APP_TOKEN_ROLE : "viewer";
+const WS_MIN_ROLE = ROLES.includes(process.env.WS_MIN_ROLE) ? process.env.WS_MIN_ROLE : "viewer";
+const API_KEY_PEPPER = process.env.API_KEY_PEPPER || "";
+// Without any credential configured outside production (local dev) requests run anonymously as ANONYMOUS_ROLE.
+const AUTH_ENFORCED = isProduction || !!APP_TOKEN || !!ADMIN_TOKEN || process.env.AUTH_REQUIRED === "1";
+const ANONYMOUS_ROLE = ROLES.includes(process.env.ANONYMOUS_ROLE) ? process.env.ANONYMOUS_ROLE : "viewer";
+if (isProduction && !ADMIN_TOKEN && !APP_TOKEN) {
+  throw new Error("ADMIN_TOKEN (or legacy APP_TOKEN) is required in production. Set it in env.");
+}
+if (!AUTH_ENFORCED) console.warn(`Auth not enforced (no APP_TOKEN/ADMIN_TOKEN/AUTH_REQUIRED): anonymous requests get the ${ANONYMOUS_ROLE} role.`);
+if (isProduction && !ADMIN_TOKEN) console.warn("ADMIN_TOKEN not set: API keys can only be managed with an existing admin key.");
+const AUTH_EXEMPT_PATHS = new Set(["/api/health", "/health", "/api", "/metrics"]);
+const ANONYMOUS_IDENTITY = Object.freeze({ id: null, user: "anonymous", role: ANONYMOUS_ROLE, via: "open" });
+
+function roleRank(role) {
+  return ROLES.indexOf(role);
+}
+function hasRole(identity, role) {
+  return !!identity && roleRank(identity.role) >= roleRank(role);
+}
+function hashApiKey(key) {
+  return crypto.createHmac("sha256", API_KEY_PEPPER).update(String(key)).digest("hex");
+}
+function safeEqualHex(a, b) {
+  const ba = Buffer.from(String(a), "hex");
+  const bb = Buffer.from(String(b), "hex");
+  return ba.length === bb.length && ba.length > 0 && crypto.timingSafeEqual(ba, bb);
+}
+
+// Candidate credentials, strongest transport first. Query-param credentials (WS upgrades only) are deprecated and
+// ignored unless WS_ALLOW_QUERY_CREDENTIALS=1; browsers should use POST /api/ws/ticket.
+const WS_ALLOW_QUERY_CREDENTIALS = process.env.WS_ALLOW_QUERY_CREDENTIALS === "1";
+if (WS_ALLOW_QUERY_CREDENTIALS) {
+  console.warn("WS_ALLOW_QUERY_CREDENTIALS=1: accepting deprecated ?api_key= / ?app_token= on WS upgrades; move clients to POST /api/ws/ticket");
+}
+function credentialsFrom(headers, url) {
+  const out = [];
+  const bearer = /^Bearer\s+(.+)$/i.exec(String(headers.authorization || ""))?.[1];
+  for (const v of [bearer, headers["x-api-key"], headers["x-admin-token"], headers["x-app-token"]]) {
+    if (v) out.push(String(v).trim());
+  }
+  if (url && WS_ALLOW_QUERY_CREDENTIALS) {
+    for (const p of ["api_key", "app_token", "APP_TOKEN"]) {
+      const v = url.searchParams.get(p);
+      if (v) out.push(v.trim());
+    }
+  }
+  return out;
+}
+
+async function resolveCredential(token) {
+  const h = hashApiKey(token);
+  if (ADMIN_TOKEN && safeEqualHex(h, hashApiKey(ADMIN_TOKEN))) return { id: null, user: "admin-token", role: "admin", via: "admin_token" };
+  if (APP_TOKEN && safeEqualHex(h, hashApiKey(APP_TOKEN))) return { id: null, user: "app-token", role: APP_TOKEN_ROLE, via: "app_token" };
+  const m = API_KEY_REGEX.exec(token);
+  if (!m) return null;
+  const rec = await getApiKeyRecord(m[1]);
+  if (!rec || rec.revokedAt || !safeEqualHex(h, rec.hash)) return null;
+  touchApiKey(rec.id);
+  return { id: rec.id, user: rec.user, role: rec.role, via: "api_key" };
 }
-function requireAppToken(req, res, next) {
-  if (req.path === "/api/health" || req.path === "/health" || req.path === "/api" || req.path === "/metrics") return next();
-  if (!APP_TOKEN) return next();
-  const token = req.headers["x-app-token"];
-  if (token !== APP_TOKEN) {
-    return res.status(401).json({ error: "Unauthorized", message: "Missing or invalid x-app-token header" });
+
+// Highest-role identity among the presented credentials; null when none is valid.
+async function authenticateCredentials(list) {
+  let best = null;
+  for (const c of list) {
+    const identity = await resolveCredential(c);
+    if (identity && (!best || roleRank(identity.role) > roleRank(best.role))) best = identity;
+  }
+  if (best) return best;
+  return AUTH_ENFORCED ? null : ANONYMOUS_IDENTITY;
+}
+
+async function authenticate(req, res, next) {
+  if (AUTH_EXEMPT_PATHS.has(req.path)) return next();
+  try {
+    req.auth = await authenticateCredentials(credentialsFrom(req.headers));
+  } catch (e) {
+    return sendRouteError(res, e, { label: "Authentication failed" });
+  }
+  if (!req.auth) {
+    return res.status(401).json({ error: "Unauthorized", message: "Missing or invalid API key (Authorization: Bearer <key> or x-api-key header)" });
   }
   next();
 }
 
-app.use(requireAppToken);
+function requireRole(role) {
+  return (req, res, next) => {
+    if (hasRole(req.auth, role)) return next();
+    if (!req.auth) return res.status(401).json({ error: "Unauthorized", message: "API key required" });
+    return res.status(403).json({ error: "Forbidden", message: `Requires ${role} role`, role: req.auth.role });
+  };
+}
 
 // Request logging: method, path, status, duration (no bodies/tokens)
 app.use((req, res, next) => {
@@ -117,27 +280,182 @@ const METRICS = {
   startedAt: Date.now(),
   requestsTotal: 0,
   errorsTotal: 0,
-  byRoute: new Map(), // key => {count, errors, totalMs}
+  byRoute: new Map(), // key => {method, route, count, errors, totalMs, statuses, latency}
+  upstreamCalls: new Map(), // `${service} ${status}` => count (status is the HTTP code, "timeout" or "error")
+  upstreamLatency: new Map(), // service => histogram
 };
+
+// Cumulative latency histograms (seconds) for the Prometheus output.
+const LATENCY_BUCKETS_SEC = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+function newHistogram() {
+  return { buckets: new Array(LATENCY_BUCKETS_SEC.length).fill(0), sum: 0, count: 0 };
+}
+function observeHistogram(h, sec) {
+  h.count += 1;
+  h.sum += sec;
+  for (let i = 0; i < LATENCY_BUCKETS_SEC.length; i++) if (sec <= LATENCY_BUCKETS_SEC[i]) h.buckets[i] += 1;
+}
+
+function recordUpstreamCall(service, status, ms) {
+  const key = `${service || "Upstream"} ${status}`;
+  METRICS.upstreamCalls.set(key, (METRICS.upstreamCalls.get(key) || 0) + 1);
+  if (!METRICS.upstreamLatency.has(service)) METRICS.upstreamLatency.set(service, newHistogram());
+  observeHistogram(METRICS.upstreamLatency.get(service), ms / 1000);
+}
+
 app.use((req, res, next) => {
   const t0 = Date.now();
   METRICS.requestsTotal += 1;
 
   res.on("finish", () => {
     const ms = Date.now() - t0;
-    const key = `${req.method} ${req.route?.path || req.path}`;
-    const rec = METRICS.byRoute.get(key) || { count: 0, errors: 0, totalMs: 0 };
+    // Unmatched paths share one series so random URLs can't blow up label cardinality.
+    const route = req.route?.path || "(unmatched)";
+    const key = `${req.method} ${route}`;
+    let rec = METRICS.byRoute.get(key);
+    if (!rec) {
+      rec = { method: req.method, route, count: 0, errors: 0, totalMs: 0, statuses: {}, latency: newHistogram() };
+      METRICS.byRoute.set(key, rec);
+    }
     rec.count += 1;
     rec.totalMs += ms;
+    rec.statuses[res.statusCode] = (rec.statuses[res.statusCode] || 0) + 1;
+    observeHistogram(rec.latency, ms / 1000);
     if (res.statusCode >= 400) rec.errors += 1;
     if (res.statusCode >= 500) METRICS.errorsTotal += 1;
-    METRICS.byRoute.set(key, rec);
   });
 
   next();
 });
 
+// Per-request context so upstream helpers can flag the response: when any last-known-good body was used
+// (circuit open / upstream down) JSON objects get stale: true + stale_as_of and an X-Data-Stale header.
+const requestContext = new AsyncLocalStorage();
+app.use((req, res, next) => {
+  const ctx = { staleSince: null };
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (ctx.staleSince != null && res.statusCode < 400) {
+      res.setHeader("X-Data-Stale", "true");
+      if (body && typeof body === "object" && !Array.isArray(body)) {
+        body = { ...body, stale: true, stale_as_of: new Date(ctx.staleSince).toISOString() };
+      }
+    }
+    return json(body);
+  };
+  requestContext.run(ctx, next);
+});
+
+// After logging/metrics so rejected (401) requests are still logged and counted.
+app.use(authenticate);
+
+function markResponseStale(fetchedAt) {
+  const ctx = requestContext.getStore();
+  if (!ctx) return;
+  ctx.staleSince = ctx.staleSince == null ? fetchedAt : Math.min(ctx.staleSince, fetchedAt);
+}
+
+function promEscape(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+function promLabels(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${promEscape(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+// Prometheus text exposition format 0.0.4.
+function renderPrometheusMetrics() {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value] of samples) lines.push(`${name}${promLabels(labels)} ${value}`);
+  };
+  const histogram = (name, help, series) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} histogram`);
+    for (const [labels, h] of series) {
+      LATENCY_BUCKETS_SEC.forEach((le, i) => lines.push(`${name}_bucket${promLabels({ ...labels, le })} ${h.buckets[i]}`));
+      lines.push(`${name}_bucket${promLabels({ ...labels, le: "+Inf" })} ${h.count}`);
+      lines.push(`${name}_sum${promLabels(labels)} ${+h.sum.toFixed(6)}`);
+      lines.push(`${name}_count${promLabels(labels)} ${h.count}`);
+    }
+  };
+  const routes = Array.from(METRICS.byRoute.values());
+
+  metric("process_start_time_seconds", "gauge", "Start time of the process since unix epoch in seconds.",
+    [[{}, Math.floor(METRICS.startedAt / 1000)]]);
+  metric("http_requests_total", "counter", "HTTP requests by method, route and status.",
+    routes.flatMap(r => Object.entries(r.statuses).map(([status, n]) => [{ method: r.method, route: r.route, status }, n])));
+  histogram("http_request_duration_seconds", "HTTP request latency by method and route.",
+    routes.map(r => [{ method: r.method, route: r.route }, r.latency]));
+
+  metric("upstream_requests_total", "counter", "Upstream HTTP attempts (including retries) by service and status.",
+    Array.from(METRICS.upstreamCalls.entries()).map(([key, n]) => {
+      const [service, status] = key.split(" ");
+      return [{ service, status }, n];
+    }));
+  histogram("upstream_request_duration_seconds", "Upstream HTTP attempt latency by service.",
+    Array.from(METRICS.upstreamLatency.entries()).map(([service, h]) => [{ service }, h]));
+
+  const governors = upstreamGovernorMetrics();
+  metric("upstream_queue_depth", "gauge", "Requests waiting for a rate-governor token.",
+    Object.entries(governors).flatMap(([service, g]) => Object.entries(g.queued).map(([lane, n]) => [{ service, lane }, n])));
+  metric("upstream_shed_total", "counter", "Upstream requests rejected because the governor queue was full.",
+    Object.entries(governors).map(([service, g]) => [{ service }, g.shed]));
+  metric("upstream_throttled_total", "counter", "429 responses that paused the rate governor.",
+    Object.entries(governors).map(([service, g]) => [{ service }, g.throttled]));
+  const breakers = circuitBreakerMetrics();
+  metric("upstream_circuit_state", "gauge", "Circuit breaker state (1 for the current state).",
+    Object.entries(breakers).flatMap(([service, b]) =>
+      ["closed", "open", "half_open"].map(state => [{ service, state }, b.state === state ? 1 : 0])));
+  metric("upstream_circuit_rejected_total", "counter", "Calls failed fast by an open circuit.",
+    Object.entries(breakers).map(([service, b]) => [{ service }, b.rejected]));
+
+  const up = UPSTREAM_CACHE_STATS;
+  const caches = [
+    ["upstream", up.hits + up.staleHits + up.coalesced, up.misses, UPSTREAM_CACHE.size],
+    ["fund", FUND_CACHE.stats.hits, FUND_CACHE.stats.misses, FUND_CACHE.size],
+    ["news", NEWS_CACHE.stats.hits, NEWS_CACHE.stats.misses, NEWS_CACHE.size],
+  ];
+  metric("cache_requests_total", "counter", "Cache lookups by cache and result.",
+    caches.flatMap(([cache, hits, misses]) => [[{ cache, result: "hit" }, hits], [{ cache, result: "miss" }, misses]]));
+  metric("cache_hit_ratio", "gauge", "Hits / lookups since start.",
+    caches.map(([cache, hits, misses]) => [{ cache }, hits + misses ? +(hits / (hits + misses)).toFixed(4) : 0]));
+  metric("cache_entries", "gauge", "Entries held in this process.", caches.map(([cache, , , size]) => [{ cache }, size]));
+  metric("cache_bytes", "gauge", "Approximate size (JSON length) of size-bounded caches in this process.",
+    [[{ cache: "upstream" }, UPSTREAM_CACHE.bytes], [{ cache: "last_known_good" }, UPSTREAM_LKG.bytes]]);
+  metric("upstream_cache_events_total", "counter", "Upstream cache stale serves, coalesced calls and fallbacks.", [
+    [{ event: "stale_hit" }, up.staleHits],
+    [{ event: "coalesced" }, up.coalesced],
+    [{ event: "refresh_error" }, up.refreshErrors],
+    [{ event: "last_known_good" }, up.lastKnownGood],
+  ]);
+
+  metric("websocket_clients", "gauge", "Connected WebSocket clients by path.",
+    [[{ path: "/ws" }, wss.clients.size], [{ path: "/ws/scanner" }, scannerWss.clients.size],
+      [{ path: "/ws/shared" }, sharedWss.clients.size]]);
+  const polygonWs = Object.entries(polygonWsMetrics());
+  metric("polygon_ws_upstream_connected", "gauge", "1 when the shared /ws Polygon upstream for a cluster is authenticated.",
+    polygonWs.map(([cluster, m]) => [{ cluster }, m.connected ? 1 : 0]));
+  metric("polygon_ws_channels", "gauge", "Distinct Polygon channels subscribed upstream for /ws clients.",
+    polygonWs.map(([cluster, m]) => [{ cluster }, m.channels]));
+  metric("massive_upstream_connected", "gauge", "1 when the Massive scanner upstream socket is open.",
+    [[{}, massiveUpstreamOpen ? 1 : 0]]);
+  metric("scanner_universe_size", "gauge", "Symbols in the /ws/scanner universe.", [[{}, scannerUniverse.size]]);
+  const store = STATE_STORE.status();
+  metric("state_store_connected", "gauge", "1 when the state store backend is reachable.",
+    [[{ backend: store.backend }, store.connected ? 1 : 0]]);
+  return lines.join("\n") + "\n";
+}
+
 app.get("/metrics", (req, res) => {
+  // Prometheus scrapers ask for text/plain;version=0.0.4 or openmetrics and never for JSON.
+  const format = String(req.query.format || "").toLowerCase();
+  const accept = String(req.headers.accept || "");
+  const scraper = /text\/plain|application\/openmetrics-text/.test(accept) && !/application\/json/.test(accept);
+  if (format === "prometheus" || (!format && scraper)) {
+    res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+    return res.send(renderPrometheusMetrics());
+  }
   const routes = {};
   for (const [k, v] of METRICS.byRoute.entries()) {
     routes[k] = {
@@ -151,51 +469,430 @@ app.get("/metrics", (req, res) => {
     uptimeSec: Math.floor((Date.now() - METRICS.startedAt) / 1000),
     requestsTotal: METRICS.requestsTotal,
     errorsTotal: METRICS.errorsTotal,
+    upstreamCache: upstreamCacheMetrics(),
+    upstreamGovernor: upstreamGovernorMetrics(),
+    circuitBreakers: circuitBreakerMetrics(),
+    polygonWs: polygonWsMetrics(),
     routes
   });
 });
 
 // Ticker validation: 1–10 uppercase letters or BRK.B-style (e.g. BRK.B)
 const TICKER_REGEX = /^[A-Z]{1,10}$|^[A-Z]{1,5}\.[A-Z]{1,4}$/;
-function validTicker(s) {
+
+// Polygon clusters. Non-stock tickers carry Polygon's prefix (O:AAPL251219C00150000, X:BTCUSD, C:EURUSD,
+// I:SPX); wsEvents are the channel prefixes each cluster's socket accepts.
+const ASSET_CLASSES = {
+  stocks: { prefix: "", regex: TICKER_REGEX, minuteAgg: "AM", wsEvents: ["T", "Q", "A", "AM", "LULD", "NOI", "FMV"] },
+  options: { prefix: "O:", regex: /^O:[A-Z]{1,6}\d{6}[CP]\d{8}$/, minuteAgg: "AM", wsEvents: ["T", "Q", "A", "AM", "FMV"] },
+  crypto: { prefix: "X:", regex: /^X:[A-Z0-9]{2,12}(USD|USDT|USDC|EUR|GBP|JPY|BTC|ETH)$/, minuteAgg: "XA", wsEvents: ["XT", "XQ", "XA", "XAS", "XL2", "FMV"] },
+  forex: { prefix: "C:", regex: /^C:[A-Z]{6}$/, minuteAgg: "CA", wsEvents: ["C", "CA", "CAS", "FMV"] },
+  indices: { prefix: "I:", regex: /^I:[A-Z0-9.]{1,12}$/, minuteAgg: "AM", wsEvents: ["A", "AM", "V"] },
+};
+const ASSET_CLASS_NAMES = Object.keys(ASSET_CLASSES);
+
+function assetClassOf(s) {
+  const t = String(s || "").toUpperCase();
+  return ASSET_CLASS_NAMES.find(c => ASSET_CLASSES[c].prefix && t.startsWith(ASSET_CLASSES[c].prefix)) || "stocks";
+}
+
+// Any asset class by default; pass a cluster to only accept that class.
+function validTicker(s, cluster) {
   const t = String(s || "").toUpperCase();
-  return t.length >= 1 && t.length <= 12 && TICKER_REGEX.test(t);
+  const cls = assetClassOf(t);
+  if (cluster && cls !== cluster) return false;
+  return t.length >= 1 && t.length <= 24 && ASSET_CLASSES[cls].regex.test(t);
+}
+
+// ?cluster= on REST/WS; returns the cluster name, the fallback when absent, or null when unknown.
+function parseCluster(value, fallback = "stocks") {
+  if (value == null || value === "") return fallback;
+  const c = String(value).trim().toLowerCase();
+  return ASSET_CLASSES[c] ? c : null;
 }
 
-// Validate :symbol on all routes that use it (returns 400 if invalid)
+// Validate :symbol on all routes that use it (returns 400 if invalid). The asset class comes from the ticker
+// prefix; an explicit ?cluster= must agree with it.
 app.param("symbol", (req, res, next, symbol) => {
   const t = String(symbol || "").toUpperCase();
-  if (!validTicker(t)) {
-    return res.status(400).json({ error: "Invalid symbol", symbol: t });
+  const cluster = parseCluster(req.query.cluster, null);
+  if (req.query.cluster != null && !cluster) {
+    return res.status(400).json({ error: "Invalid cluster", allowed: ASSET_CLASS_NAMES });
+  }
+  if (!validTicker(t, cluster)) {
+    return res.status(400).json({ error: "Invalid symbol", symbol: t, assetClass: cluster || assetClassOf(t) });
   }
   next();
 });
 
-// In-memory rate limit for /api/news (per IP). Prune stale entries when over cap.
+// Snapshot endpoint for one ticker: stocks/crypto/forex have per-market v2 snapshots, options and indices only
+// the unified v3 snapshot.
+function tickerSnapshotRequest(symbol) {
+  const cls = assetClassOf(symbol);
+  if (cls === "stocks") return [`/v2/snapshot/locale/us/markets/stocks/tickers/${encodeURIComponent(symbol)}`, {}];
+  if (cls === "crypto" || cls === "forex") {
+    return [`/v2/snapshot/locale/global/markets/${cls}/tickers/${encodeURIComponent(symbol)}`, {}];
+  }
+  return ["/v3/snapshot", { "ticker.any_of": symbol }];
+}
+
+// Last trade price out of either snapshot shape (v3 indices only have a value).
+function snapshotLastPrice(snap) {
+  const v3 = Array.isArray(snap?.results) ? snap.results[0] : null;
+  return snap?.ticker?.lastTrade?.p
+    ?? snap?.results?.lastTrade?.p
+    ?? snap?.lastTrade?.p
+    ?? v3?.last_trade?.price
+    ?? v3?.value
+    ?? v3?.session?.close
+    ?? null;
+}
+
+// Crypto trades every day, so its latest bars are today's; everything else uses the last NYSE trading day.
+async function latestSessionDate(symbol) {
+  if (assetClassOf(symbol) === "crypto") return ymdNY();
+  return (await findLastTradingDayNY(5)).dateStr;
+}
+
+// ---------- JSON file persistence (atomic write: temp file + rename) ----------
+async function readJsonFile(file, fallback) {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return fallback;
+    throw e;
+  }
+}
+
+async function writeFileAtomic(file, text) {
+  await fs.promises.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.writeFile(tmp, text, { mode: 0o600 });
+  await fs.promises.rename(tmp, file);
+}
+
+async function writeJsonFileAtomic(file, data) {
+  await writeFileAtomic(file, JSON.stringify(data, null, 2));
+}
+
+// JSON Lines: one JSON value per line; unparseable lines (e.g. a torn last append) are skipped.
+async function readJsonLines(file) {
+  let text;
+  try {
+    text = await fs.promises.readFile(file, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+  const out = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try { out.push(JSON.parse(line)); } catch { }
+  }
+  return out;
+}
+
+async function appendJsonLine(file, value) {
+  await fs.promises.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+  await fs.promises.appendFile(file, JSON.stringify(value) + "\n", { mode: 0o600 });
+}
+
+async function writeJsonLinesAtomic(file, values) {
+  await writeFileAtomic(file, values.map(v => JSON.stringify(v) + "\n").join(""));
+}
+
+// ---------- State store (in-memory default; Redis-protocol backend for multi-instance deploys) ----------
+// Async key/value + hash API shared by the caches, news rate limiter and shared tickers. Values are JSON.
+const REDIS_URL = process.env.REDIS_URL || "";
+const STATE_STORE_KIND = (process.env.STATE_STORE || (REDIS_URL ? "redis" : "memory")).toLowerCase();
+const STATE_STORE_PREFIX = process.env.STATE_STORE_PREFIX || "polygon-proxy:";
+const REDIS_COMMAND_TIMEOUT_MS = parseInt(process.env.REDIS_COMMAND_TIMEOUT_MS, 10) || 2000;
+const REDIS_OFFLINE_QUEUE_MAX = parseInt(process.env.REDIS_OFFLINE_QUEUE_MAX, 10) || 1000;
+const SHARED_CACHE_MAX_VALUE_BYTES = parseInt(process.env.SHARED_CACHE_MAX_VALUE_BYTES, 10) || 256 * 1024;
+
+function createMemoryStore() {
+  const kv = new Map(); // key => { val, exp }
+  const hashes = new Map(); // key => Map(field => val)
+  const lists = new Map(); // key => array
+  // Redis LRANGE/LTRIM index semantics (negative = from the end, stop inclusive).
+  const span = (arr, start, stop) => {
+    const n = arr.length;
+    const a = Math.max(0, start < 0 ? n + start : start);
+    const b = Math.min(n - 1, stop < 0 ? n + stop : stop);
+    return [a, b];
+  };
+  function live(key) {
+    const e = kv.get(key);
+    if (!e) return null;
+    if (e.exp <= Date.now()) { kv.delete(key); return null; }
+    return e;
+  }
+  setInterval(() => {
+    const t = Date.now();
+    for (const [k, e] of kv.entries()) if (e.exp <= t) kv.delete(k);
+  }, 60_000).unref();
+  return {
+    backend: "memory",
+    shared: false,
+    async get(key) { return live(key)?.val ?? null; },
+    async set(key, val, ttlMs) { kv.set(key, { val, exp: ttlMs ? Date.now() + ttlMs : Infinity }); },
+    async setnx(key, val, ttlMs) {
+      if (live(key)) return false;
+      kv.set(key, { val, exp: ttlMs ? Date.now() + ttlMs : Infinity });
+      return true;
+    },
+    async del(key) { kv.delete(key); hashes.delete(key); lists.delete(key); },
+    async incr(key, ttlMs) {
+      const e = live(key);
+      if (e) return (e.val += 1);
+      kv.set(key, { val: 1, exp: ttlMs ? Date.now() + ttlMs : Infinity });
+      return 1;
+    },
+    async hget(key, field) { return hashes.get(key)?.get(field) ?? null; },
+    async hgetall(key) { return Object.fromEntries(hashes.get(key) || []); },
+    async hset(key, field, val) {
+      if (!hashes.has(key)) hashes.set(key, new Map());
+      hashes.get(key).set(field, val);
+    },
+    async hdel(key, field) { return !!hashes.get(key)?.delete(field); },
+    async rpush(key, val) {
+      if (!lists.has(key)) lists.set(key, []);
+      return lists.get(key).push(val);
+    },
+    async lrange(key, start, stop) {
+      const arr = lists.get(key) || [];
+      const [a, b] = span(arr, start, stop);
+      return a <= b ? arr.slice(a, b + 1) : [];
+    },
+    async ltrim(key, start, stop) {
+      const arr = lists.get(key) || [];
+      const [a, b] = span(arr, start, stop);
+      lists.set(key, a <= b ? arr.slice(a, b + 1) : []);
+    },
+    status() { return { backend: "memory", connected: true }; },
+    close() { },
+  };
+}
+
+function encodeRedisCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const a of args) {
+    const str = String(a);
+    out += `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+  }
+  return out;
+}
+
+// One RESP2 reply starting at buf[offset] -> { value, next }, or null when more bytes are needed.
+// Error replies come back as Error values so array elements keep their position.
+function parseRedisReply(buf, offset) {
+  const eol = buf.indexOf("\r\n", offset);
+  if (eol < 0) return null;
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString("utf8", offset + 1, eol);
+  const after = eol + 2;
+  if (type === "+") return { value: line, next: after };
+  if (type === "-") return { value: new Error(line), next: after };
+  if (type === ":") return { value: parseInt(line, 10), next: after };
+  if (type === "$") {
+    const len = parseInt(line, 10);
+    if (len < 0) return { value: null, next: after };
+    if (buf.length < after + len + 2) return null;
+    return { value: buf.toString("utf8", after, after + len), next: after + len + 2 };
+  }
+  if (type === "*") {
+    const n = parseInt(line, 10);
+    if (n < 0) return { value: null, next: after };
+    const arr = [];
+    let pos = after;
+    for (let i = 0; i < n; i++) {
+      const r = parseRedisReply(buf, pos);
+      if (!r) return null;
+      arr.push(r.value);
+      pos = r.next;
+    }
+    return { value: arr, next: pos };
+  }
+  throw new Error(`Unexpected RESP reply type "${type}"`);
+}
+
+// Minimal pipelined Redis client (no dependency): commands queue while disconnected (at most
+// REDIS_OFFLINE_QUEUE_MAX, leaving the queue when they time out after REDIS_COMMAND_TIMEOUT_MS); the
+// socket reconnects with backoff and re-sends AUTH/SELECT from the URL.
+function createRedisClient(url) {
+  const u = new URL(url);
+  const useTls = u.protocol === "rediss:";
+  const host = u.hostname || "127.0.0.1";
+  const port = parseInt(u.port, 10) || 6379;
+  const username = decodeURIComponent(u.username || "");
+  const password = decodeURIComponent(u.password || "");
+  const db = parseInt(u.pathname.slice(1), 10) || 0;
+
+  let socket = null;
+  let ready = false;
+  let closing = false;
+  let attempt = 0;
+  let buffer = Buffer.alloc(0);
+  const pending = []; // written, awaiting reply (FIFO)
+  const offline = []; // queued until connected
+
+  function settle(entry, value) {
+    if (entry.settled) return;
+    entry.settled = true;
+    clearTimeout(entry.timer);
+    if (value instanceof Error) entry.reject(value);
+    else entry.resolve(value);
+  }
+
+  function write(args, entry) {
+    pending.push(entry);
+    socket.write(encodeRedisCommand(args));
+  }
+
+  function command(args) {
+    return new Promise((resolve, reject) => {
+      if (!ready && offline.length >= REDIS_OFFLINE_QUEUE_MAX) {
+        reject(new Error(`Redis ${args[0]} rejected: offline queue full`));
+        return;
+      }
+      const entry = { resolve, reject, settled: false, timer: null };
+      const queued = { args, entry };
+      entry.timer = setTimeout(() => {
+        const idx = offline.indexOf(queued);
+        if (idx >= 0) offline.splice(idx, 1);
+        settle(entry, new Error(`Redis ${args[0]} timed out`));
+      }, REDIS_COMMAND_TIMEOUT_MS);
+      if (ready) write(args, entry);
+      else offline.push(queued);
+    });
+  }
+
+  function onData(chunk) {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    let offset = 0;
+    try {
+      for (;;) {
+        const r = parseRedisReply(buffer, offset);
+        if (!r) break;
+        offset = r.next;
+        const entry = pending.shift();
+        if (entry) settle(entry, r.value);
+      }
+    } catch (e) {
+      console.error("Redis protocol error:", e.message);
+      socket.destroy();
+      return;
+    }
+    buffer = offset >= buffer.length ? Buffer.alloc(0) : buffer.subarray(offset);
+  }
+
+  function connect() {
+    buffer = Buffer.alloc(0);
+    socket = useTls ? tls.connect({ host, port, servername: host }) : net.createConnection({ host, port });
+    socket.setNoDelay(true);
+    socket.on(useTls ? "secureConnect" : "connect", () => {
+      ready = true;
+      attempt = 0;
+      console.log(`Redis connected ${host}:${port}/${db}`);
+      const onHandshakeErr = (e) => console.error("Redis handshake failed:", e.message);
+      if (password) {
+        const args = username ? ["AUTH", username, password] : ["AUTH", password];
+        command(args).catch(onHandshakeErr);
+      }
+      if (db) command(["SELECT", db]).catch(onHandshakeErr);
+      for (const { args, entry } of offline.splice(0)) {
+        if (!entry.settled) write(args, entry);
+      }
+    });
+    socket.on("data", onData);
+    socket.on("error", (e) => {
+      if (attempt === 0) console.error("Redis error:", e.message);
+    });
+    socket.on("close", () => {
+      ready = false;
+      for (const entry of pending.splice(0)) settle(entry, new Error("Redis connection closed"));
+      if (closing) return;
+      const delay = Math.min(30_000, 250 * Math.pow(2, attempt++));
+      setTimeout(connect, delay).unref();
+    });
+  }
+
+  connect();
+  return {
+    command,
+    get connected() { return ready; },
+    close() {
+      closing = true;
+      socket?.end();
+    },
+  };
+}
+
+function createRedisStore(url) {
+  const client = createRedisClient(url);
+  const k = key => STATE_STORE_PREFIX + key;
+  const parse = (raw) => {
+    if (raw == null) return null;
+    try { return JSON.parse(raw); } catch { return null; }
+  };
+  return {
+    backend: "redis",
+    shared: true,
+    async get(key) { return parse(await client.command(["GET", k(key)])); },
+    async set(key, val, ttlMs) {
+      const args = ["SET", k(key), JSON.stringify(val)];
+      if (ttlMs) args.push("PX", Math.max(1, Math.round(ttlMs)));
+      await client.command(args);
+    },
+    // SET NX PX: true only for the caller that created the key (locks, once-per-window work).
+    async setnx(key, val, ttlMs) {
+      const args = ["SET", k(key), JSON.stringify(val), "NX"];
+      if (ttlMs) args.push("PX", Math.max(1, Math.round(ttlMs)));
+      return (await client.command(args)) === "OK";
+    },
+    async del(key) { await client.command(["DEL", k(key)]); },
+    async incr(key, ttlMs) {
+      if (!ttlMs) return client.command(["INCR", k(key)]);
+      // SET NX starts the window (and its expiry) once; INCR keeps the existing TTL.
+      const [, n] = await Promise.all([
+        client.command(["SET", k(key), "0", "PX", Math.max(1, Math.round(ttlMs)), "NX"]),
+        client.command(["INCR", k(key)]),
+      ]);
+      return n;
+    },
+    async hget(key, field) { return parse(await client.command(["HGET", k(key), field])); },
+    async hgetall(key) {
+      const flat = (await client.command(["HGETALL", k(key)])) || [];
+      const out = {};
+      for (let i = 0; i + 1 < flat.length; i += 2) out[flat[i]] = parse(flat[i + 1]);
+      return out;
+    },
+    async hset(key, field, val) { await client.command(["HSET", k(key), field, JSON.stringify(val)]); },
+    async hdel(key, field) { return (await client.command(["HDEL", k(key), field])) > 0; },
+    async rpush(key, val) { return client.command(["RPUSH", k(key), JSON.stringify(val)]); },
+    async lrange(key, start, stop) {
+      return ((await client.command(["LRANGE", k(key), start, stop])) || []).map(parse);
+    },
+    async ltrim(key, start, stop) { await client.command(["LTRIM", k(key), start, stop]); },
+    status() { return { backend: "redis", connected: client.connected }; },
+    close() { client.close(); },
+  };
+}
+
+if (STATE_STORE_KIND === "redis" && !REDIS_URL) throw new Error("STATE_STORE=redis requires REDIS_URL");
+const STATE_STORE = STATE_STORE_KIND === "redis" ? createRedisStore(REDIS_URL) : createMemoryStore();
+
+// Rate limit for /api/news (per IP, fixed window) in STATE_STORE so all instances share one budget.
 const NEWS_RATE_WINDOW_MS = 60 * 1000;
 const NEWS_RATE_MAX = parseInt(process.env.NEWS_RATE_LIMIT_PER_MIN, 10) || 60;
-const NEWS_RATE_MAP_MAX = parseInt(process.env.NEWS_RATE_MAP_MAX, 10) || 10000;
-const newsRateMap = new Map();
-function checkNewsRateLimit(ip) {
-  const n = Date.now();
-  if (newsRateMap.size > NEWS_RATE_MAP_MAX) {
-    for (const [k, rec] of newsRateMap.entries()) {
-      if (n - rec.since > NEWS_RATE_WINDOW_MS) newsRateMap.delete(k);
-    }
-  }
-  let rec = newsRateMap.get(ip);
-  if (!rec) {
-    newsRateMap.set(ip, { count: 1, since: n });
-    return true;
-  }
-  if (n - rec.since > NEWS_RATE_WINDOW_MS) {
-    rec = { count: 1, since: n };
-    newsRateMap.set(ip, rec);
-    return true;
-  }
-  rec.count += 1;
-  if (rec.count > NEWS_RATE_MAX) return false;
-  return true;
+async function checkNewsRateLimit(ip) {
+  try {
+    const count = await STATE_STORE.incr(`ratelimit:news:${ip}`, NEWS_RATE_WINDOW_MS);
+    return count <= NEWS_RATE_MAX;
+  } catch (e) {
+    console.error("News rate limit check failed:", e.message);
+    return true; // store unreachable: fail open rather than block news
+  }
 }
 
 // Node >=18 has global fetch
@@ -221,16 +918,257 @@ class UpstreamError extends Error {
   }
 }
 
+// Thrown (never retried) when a service's governor queue is full; routes answer 503 + Retry-After.
+class UpstreamBusyError extends Error {
+  constructor(service, lane, queued) {
+    super(`${service} request queue is full`);
+    this.name = "UpstreamBusyError";
+    this.service = service;
+    this.lane = lane;
+    this.queued = queued;
+  }
+}
+
+// Thrown without touching the network while a service's circuit is open; routes answer 503 + Retry-After.
+class UpstreamUnavailableError extends Error {
+  constructor(service, retryInMs) {
+    super(`${service} circuit open`);
+    this.name = "UpstreamUnavailableError";
+    this.service = service;
+    this.retryInMs = retryInMs;
+  }
+}
+
+// ---------- Upstream rate governor (token bucket per service, two priority lanes) ----------
+// Every upstream attempt (including retries) takes a token. Interactive requests always drain before
+// background ones; code started via runInBackgroundLane (scanner universe/news loops) is background.
+const upstreamLane = new AsyncLocalStorage();
+function runInBackgroundLane(fn) {
+  return upstreamLane.run("background", fn);
+}
+
+function createRateGovernor(service, rps) {
+  const burst = Math.max(1, rps * UPSTREAM_BURST_SEC);
+  const lanes = { interactive: [], background: [] };
+  const stats = { granted: 0, queuedTotal: 0, shed: 0, waitMsTotal: 0, maxQueued: 0, throttled: 0 };
+  let tokens = burst;
+  let last = Date.now();
+  let pausedUntil = 0;
+  let timer = null;
+
+  function refill() {
+    const t = Date.now();
+    if (t > pausedUntil) tokens = Math.min(burst, tokens + ((t - Math.max(last, pausedUntil)) * rps) / 1000);
+    last = t;
+  }
+
+  function schedule() {
+    if (timer || (!lanes.interactive.length && !lanes.background.length)) return;
+    const waitMs = Math.max(pausedUntil - Date.now(), Math.ceil(((1 - tokens) * 1000) / rps), 1);
+    timer = setTimeout(drain, waitMs);
+  }
+
+  function drain() {
+    timer = null;
+    refill();
+    while (tokens >= 1) {
+      const next = lanes.interactive.shift() || lanes.background.shift();
+      if (!next) break;
+      tokens -= 1;
+      stats.granted += 1;
+      stats.waitMsTotal += Date.now() - next.at;
+      next.resolve();
+    }
+    schedule();
+  }
+
+  return {
+    service,
+    acquire(lane = upstreamLane.getStore() || "interactive") {
+      refill();
+      const queued = lanes.interactive.length + lanes.background.length;
+      if (!queued && tokens >= 1) {
+        tokens -= 1;
+        stats.granted += 1;
+        return Promise.resolve();
+      }
+      const q = lanes[lane] || lanes.interactive;
+      if (q.length >= UPSTREAM_QUEUE_MAX) {
+        stats.shed += 1;
+        return Promise.reject(new UpstreamBusyError(service, lane, q.length));
+      }
+      stats.queuedTotal += 1;
+      stats.maxQueued = Math.max(stats.maxQueued, queued + 1);
+      return new Promise(resolve => {
+        q.push({ resolve, at: Date.now() });
+        schedule();
+      });
+    },
+    // Upstream said 429: stop issuing tokens for backoffMs so queued callers don't pile on.
+    throttle(backoffMs) {
+      stats.throttled += 1;
+      refill();
+      tokens = 0;
+      pausedUntil = Math.max(pausedUntil, Date.now() + backoffMs);
+    },
+    metrics() {
+      refill();
+      const waited = stats.queuedTotal - lanes.interactive.length - lanes.background.length;
+      return {
+        rps,
+        burst,
+        tokens: +tokens.toFixed(2),
+        queued: { interactive: lanes.interactive.length, background: lanes.background.length },
+        granted: stats.granted,
+        shed: stats.shed,
+        throttled: stats.throttled,
+        maxQueued: stats.maxQueued,
+        avgQueueWaitMs: waited > 0 ? Math.round(stats.waitMsTotal / waited) : 0,
+      };
+    },
+  };
+}
+
+const UPSTREAM_GOVERNORS = {
+  Polygon: createRateGovernor("Polygon", UPSTREAM_RPS.Polygon),
+  Massive: createRateGovernor("Massive", UPSTREAM_RPS.Massive),
+};
+
+function upstreamGovernorMetrics() {
+  const out = {};
+  for (const [name, g] of Object.entries(UPSTREAM_GOVERNORS)) out[name] = g.metrics();
+  return out;
+}
+
+// ---------- Circuit breaker (per service: closed -> open -> half_open -> closed) ----------
+// 5xx, timeouts and network errors count as failures; any other response (including 4xx/429) proves the
+// service is up. After BREAKER_FAILURE_THRESHOLD consecutive failures calls fail fast for
+// BREAKER_COOLDOWN_MS, then a single probe decides whether to close or re-open.
+function createCircuitBreaker(service) {
+  let state = "closed";
+  let failures = 0;
+  let openedAt = 0;
+  let probing = false;
+  const stats = { opened: 0, rejected: 0, lastError: null, lastFailureAt: null };
+
+  function refresh() {
+    if (state === "open" && Date.now() - openedAt >= BREAKER_COOLDOWN_MS) {
+      state = "half_open";
+      probing = false;
+    }
+  }
+  function retryInMs() {
+    return state === "open" ? Math.max(0, openedAt + BREAKER_COOLDOWN_MS - Date.now()) : 0;
+  }
+  function rejectIfOpen() {
+    refresh();
+    if (state === "open" || (state === "half_open" && probing)) {
+      stats.rejected += 1;
+      throw new UpstreamUnavailableError(service, retryInMs());
+    }
+  }
+
+  return {
+    service,
+    // Cheap pre-check before queueing for a rate token.
+    check: rejectIfOpen,
+    // Right before the network call; in half_open this claims the single probe slot.
+    enter() {
+      rejectIfOpen();
+      if (state === "half_open") probing = true;
+    },
+    success() {
+      failures = 0;
+      probing = false;
+      if (state !== "closed") {
+        state = "closed";
+        console.log(`${service} circuit closed`);
+      }
+    },
+    failure(err) {
+      failures += 1;
+      probing = false;
+      stats.lastError = trunc(err?.message || err, 200);
+      stats.lastFailureAt = Date.now();
+      if (state === "half_open" || failures >= BREAKER_FAILURE_THRESHOLD) {
+        if (state !== "open") {
+          stats.opened += 1;
+          console.warn(`${service} circuit open after ${failures} failure(s): ${stats.lastError}`);
+        }
+        state = "open";
+        openedAt = Date.now();
+      }
+    },
+    get state() {
+      refresh();
+      return state;
+    },
+    metrics() {
+      refresh();
+      return {
+        state,
+        consecutiveFailures: failures,
+        opened: stats.opened,
+        rejected: stats.rejected,
+        retryInMs: retryInMs(),
+        lastError: stats.lastError,
+        lastFailureAt: stats.lastFailureAt ? new Date(stats.lastFailureAt).toISOString() : null,
+      };
+    },
+  };
+}
+
+const UPSTREAM_BREAKERS = {
+  Polygon: createCircuitBreaker("Polygon"),
+  Massive: createCircuitBreaker("Massive"),
+};
+
+function circuitBreakerMetrics() {
+  const out = {};
+  for (const [name, b] of Object.entries(UPSTREAM_BREAKERS)) out[name] = b.metrics();
+  return out;
+}
+
+// Errors where serving last-known-good data beats failing the request. fetch() reports network failures
+// as TypeError("fetch failed") with the socket error in `cause`; other TypeErrors are bugs, not outages.
+const NETWORK_ERROR_CODES = new Set([
+  "ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "ENOTFOUND", "EAI_AGAIN", "EHOSTUNREACH", "ENETUNREACH", "EPIPE",
+  "UND_ERR_SOCKET", "UND_ERR_CONNECT_TIMEOUT", "UND_ERR_HEADERS_TIMEOUT", "UND_ERR_BODY_TIMEOUT",
+]);
+function isNetworkError(e) {
+  if (NETWORK_ERROR_CODES.has(e?.code) || NETWORK_ERROR_CODES.has(e?.cause?.code)) return true;
+  return e?.name === "TypeError" && e.message === "fetch failed";
+}
+
+function isUpstreamOutage(e) {
+  if (e instanceof UpstreamUnavailableError || e instanceof UpstreamBusyError) return true;
+  if (e instanceof UpstreamError) return e.status == null || e.status === 429 || e.status >= 500;
+  return e?.name === "AbortError" || isNetworkError(e) || /timeout/i.test(String(e?.message || ""));
+}
+
 async function fetchJsonWithPolicy(url, { service, timeoutMs = UPSTREAM_TIMEOUT_MS, retries = UPSTREAM_RETRIES } = {}) {
   let lastErr = null;
+  const governor = UPSTREAM_GOVERNORS[service] || null;
+  const breaker = UPSTREAM_BREAKERS[service] || null;
 
   for (let attempt = 1; attempt <= 1 + retries; attempt++) {
+    if (breaker) breaker.check();
+    if (governor) await governor.acquire();
+    if (breaker) breaker.enter();
     const controller = new AbortController();
     const timer = setTimeout(() => controller.abort(new Error("Upstream timeout")), timeoutMs);
+    const t0 = Date.now();
+    let recorded = false;
 
     try {
       const resp = await fetch(url, { signal: controller.signal });
       const retryAfter = resp.headers?.get?.("retry-after");
+      recorded = true;
+      recordUpstreamCall(service, resp.status, Date.now() - t0);
+      if (breaker) {
+        if (resp.status >= 500) breaker.failure(new Error(`${service} ${resp.status}`));
+        else breaker.success();
+      }
 
       if (!resp.ok) {
         const text = await resp.text().catch(() => "");
@@ -246,8 +1184,9 @@ async function fetchJsonWithPolicy(url, { service, timeoutMs = UPSTREAM_TIMEOUT_
         lastErr = err;
 
         const shouldRetry = resp.status === 429 || resp.status >= 500;
+        const backoffMs = retryAfter ? Math.min(30_000, parseInt(retryAfter, 10) * 1000) : (250 * Math.pow(2, attempt - 1));
+        if (resp.status === 429 && governor) governor.throttle(backoffMs);
         if (shouldRetry && attempt < 1 + retries) {
-          const backoffMs = retryAfter ? Math.min(30_000, parseInt(retryAfter, 10) * 1000) : (250 * Math.pow(2, attempt - 1));
           await sleep(backoffMs);
           continue;
         }
@@ -259,7 +1198,12 @@ async function fetchJsonWithPolicy(url, { service, timeoutMs = UPSTREAM_TIMEOUT_
     } catch (e) {
       lastErr = e;
       const isAbort = e?.name === "AbortError" || String(e?.message || "").toLowerCase().includes("timeout");
-      if ((isAbort || e instanceof UpstreamError) && attempt < 1 + retries) {
+      if (!recorded) {
+        recordUpstreamCall(service, isAbort ? "timeout" : "error", Date.now() - t0);
+        if (breaker) breaker.failure(e);
+      }
+      // 429/5xx responses were already retried above; an UpstreamError reaching here is final (4xx or out of attempts).
+      if (isAbort && attempt < 1 + retries) {
         await sleep(250 * Math.pow(2, attempt - 1));
         continue;
       }
@@ -282,6 +1226,14 @@ function setCache(res, seconds) {
 }
 
 function sendRouteError(res, e, { label = "Request failed" } = {}) {
+  if (e instanceof UpstreamBusyError) {
+    res.setHeader("Retry-After", "1");
+    return jsonError(res, 503, { error: label, message: e.message, service: e.service });
+  }
+  if (e instanceof UpstreamUnavailableError) {
+    res.setHeader("Retry-After", String(Math.max(1, Math.ceil(e.retryInMs / 1000))));
+    return jsonError(res, 503, { error: label, message: e.message, service: e.service });
+  }
   if (e instanceof UpstreamError) {
     return jsonError(res, 502, {
       error: label,
@@ -305,60 +1257,205 @@ async function makePolygonRequest(path, params = {}) {
   const base = "https://api.polygon.io";
   const qs = new URLSearchParams({ ...params, apiKey: POLYGON_API_KEY }).toString();
   const url = `${base}${path}?${qs}`;
-  return fetchJsonWithPolicy(url, { service: "Polygon" });
+  return cachedUpstream("Polygon", path, params, () => fetchJsonWithPolicy(url, { service: "Polygon" }));
 }
 
 // Massive REST (Float, News, Benzinga) — https://massive.com/docs
 async function makeMassiveRequest(path, params = {}) {
   const qs = new URLSearchParams({ ...params, apiKey: MASSIVE_API_KEY }).toString();
   const url = `${MASSIVE_API_BASE}${path}?${qs}`;
-  return fetchJsonWithPolicy(url, { service: "Massive" });
+  return cachedUpstream("Massive", path, params, () => fetchJsonWithPolicy(url, { service: "Massive" }));
 }
 
-// ---------- Fundamentals (optional enrichment) ----------
-const FUND_CACHE = new Map();
-const TTL_MS = 24 * 60 * 60 * 1000;
-const FUND_CACHE_MAX = parseInt(process.env.FUND_CACHE_MAX, 10) || 5000;
+// ---------- TTL cache (bounded; least-recently-used entry evicted when full) ----------
 const now = () => Date.now();
 
-function cacheGet(key) {
-  const hit = FUND_CACHE.get(key);
-  if (!hit) return null;
-  if (hit.exp < now()) { FUND_CACHE.delete(key); return null; }
-  return hit.val;
-}
-function cacheSet(key, val, ttl = TTL_MS) {
-  if (FUND_CACHE.size >= FUND_CACHE_MAX && !FUND_CACHE.has(key)) {
-    let minKey = null, minExp = Infinity;
-    for (const [k, v] of FUND_CACHE.entries()) {
-      if (v.exp < minExp) { minExp = v.exp; minKey = k; }
+// Entries live until exp, then may still be served as stale until staleUntil (see cachedUpstream).
+// get/peek read this process only; load/peekShared fall back to STATE_STORE when it is shared (Redis)
+// and back-fill the local copy. set writes through to the shared store without waiting. The shared store
+// is skipped while it is disconnected (no waiting on command timeouts) and for entries over
+// SHARED_CACHE_MAX_VALUE_BYTES. With maxBytes the local copy is also bounded by approximate size (JSON
+// length of the values); a single value larger than maxBytes is not kept locally.
+function createTtlCache(max, { namespace, maxBytes = 0 } = {}) {
+  const store = new Map(); // key => { val, exp, staleUntil, bytes? }; Map order doubles as LRU order
+  const shared = STATE_STORE.shared && namespace ? STATE_STORE : null;
+  const sharedOnline = () => !!shared && shared.status().connected;
+  const stats = { hits: 0, misses: 0 }; // get/load only; cachedUpstream keeps its own counters
+  let bytes = 0;
+  function remove(key) {
+    const entry = store.get(key);
+    if (!entry) return false;
+    bytes -= entry.bytes || 0;
+    return store.delete(key);
+  }
+  function put(key, entry) {
+    remove(key);
+    if (maxBytes) {
+      if (entry.bytes == null) entry.bytes = JSON.stringify(entry.val ?? null).length;
+      if (entry.bytes > maxBytes) return;
+    }
+    while (store.size && (store.size >= max || (maxBytes && bytes + entry.bytes > maxBytes))) {
+      remove(store.keys().next().value);
     }
-    if (minKey != null) FUND_CACHE.delete(minKey);
+    store.set(key, entry);
+    bytes += entry.bytes || 0;
   }
-  FUND_CACHE.set(key, { val, exp: now() + ttl });
+  function peek(key) {
+    const hit = store.get(key);
+    if (!hit) return null;
+    if (hit.staleUntil < now()) { remove(key); return null; }
+    put(key, hit);
+    return hit;
+  }
+  async function peekShared(key) {
+    const local = peek(key);
+    if (local || !sharedOnline()) return local;
+    const hit = await shared.get(`cache:${namespace}:${key}`).catch(() => null);
+    if (!hit || !(hit.staleUntil >= now())) return null;
+    put(key, hit);
+    return hit;
+  }
+  return {
+    peek,
+    peekShared,
+    get(key) {
+      const hit = peek(key);
+      const fresh = hit && hit.exp >= now();
+      stats[fresh ? "hits" : "misses"] += 1;
+      return fresh ? hit.val : null;
+    },
+    async load(key) {
+      const hit = await peekShared(key);
+      const fresh = hit && hit.exp >= now();
+      stats[fresh ? "hits" : "misses"] += 1;
+      return fresh ? hit.val : null;
+    },
+    set(key, val, ttlMs, staleMs = 0) {
+      const t = now();
+      const entry = { val, exp: t + ttlMs, staleUntil: t + ttlMs + staleMs };
+      put(key, entry);
+      if (sharedOnline() && (entry.bytes ?? JSON.stringify(val ?? null).length) <= SHARED_CACHE_MAX_VALUE_BYTES) {
+        shared.set(`cache:${namespace}:${key}`, entry, ttlMs + staleMs).catch(() => { });
+      }
+    },
+    delete(key) {
+      if (shared) shared.del(`cache:${namespace}:${key}`).catch(() => { });
+      return remove(key);
+    },
+    get size() { return store.size; },
+    get bytes() { return bytes; },
+    max,
+    maxBytes,
+    stats,
+  };
 }
 
+// ---------- Fundamentals (optional enrichment) ----------
+const TTL_MS = 24 * 60 * 60 * 1000;
+const FUND_CACHE_MAX = parseInt(process.env.FUND_CACHE_MAX, 10) || 5000;
+const FUND_CACHE = createTtlCache(FUND_CACHE_MAX, { namespace: "fund" });
+
 // ---------- News cache (source + ticker + limit + cursor in key) ----------
-const NEWS_CACHE = new Map();
 const BENZINGA_TTL_MS = (parseInt(process.env.NEWS_CACHE_BENZINGA_SEC, 10) || 30) * 1000;
 const STOCKS_NEWS_TTL_MS = (parseInt(process.env.NEWS_CACHE_STOCKS_SEC, 10) || 180) * 1000;
 const NEWS_CACHE_MAX = parseInt(process.env.NEWS_CACHE_MAX, 10) || 2000;
+const NEWS_CACHE = createTtlCache(NEWS_CACHE_MAX, { namespace: "news" });
+
+// ---------- Upstream response cache (makePolygonRequest / makeMassiveRequest) ----------
+// Keyed by service + path + sorted params (API key excluded). First matching rule wins; paths with no
+// rule are not cached but concurrent identical calls still share one in-flight fetch. Within staleMs
+// after expiry the cached body is returned immediately and a single background refresh is started.
+const UPSTREAM_CACHE_MAX = parseInt(process.env.UPSTREAM_CACHE_MAX, 10) || 2000;
+const UPSTREAM_CACHE_MAX_BYTES = (parseInt(process.env.UPSTREAM_CACHE_MAX_MB, 10) || 128) * 1024 * 1024;
+const UPSTREAM_CACHE_RULES = [
+  { re: /^\/v2\/snapshot\/.*\/(gainers|losers)$/, ttlMs: 5_000, staleMs: 25_000 },
+  { re: /^\/v2\/snapshot\//, ttlMs: 2_000, staleMs: 8_000 },
+  { re: /^\/v3\/snapshot$/, ttlMs: 2_000, staleMs: 8_000 },
+  { re: /^\/v2\/aggs\/grouped\//, ttlMs: 60_000, staleMs: 5 * 60_000 },
+  { re: /^\/v2\/aggs\/ticker\/[^/]+\/prev$/, ttlMs: 60 * 60_000, staleMs: 60 * 60_000 },
+  { re: /\/range\/\d+\/(second|minute|hour)\//, ttlMs: 10_000, staleMs: 20_000 },
+  { re: /\/range\/\d+\/(day|week|month|quarter|year)\//, ttlMs: 60_000, staleMs: 5 * 60_000 },
+  { re: /^\/v3\/reference\/tickers\//, ttlMs: TTL_MS, staleMs: TTL_MS },
+  { re: /^\/stocks\/v1\/float$/, ttlMs: 12 * 60 * 60_000, staleMs: TTL_MS },
+  { re: /^\/benzinga\/v2\/news$/, ttlMs: BENZINGA_TTL_MS, staleMs: BENZINGA_TTL_MS },
+  { re: /^\/v2\/reference\/news$/, ttlMs: STOCKS_NEWS_TTL_MS, staleMs: STOCKS_NEWS_TTL_MS },
+];
+const UPSTREAM_CACHE = createTtlCache(UPSTREAM_CACHE_MAX, { namespace: "upstream", maxBytes: UPSTREAM_CACHE_MAX_BYTES });
+// Last-known-good copy of every cacheable body (this process only), served when the upstream is down.
+const UPSTREAM_LKG_MAX_AGE_MS = (parseInt(process.env.UPSTREAM_LKG_MAX_AGE_SEC, 10) || 6 * 60 * 60) * 1000;
+const UPSTREAM_LKG = createTtlCache(UPSTREAM_CACHE_MAX, { maxBytes: UPSTREAM_CACHE_MAX_BYTES });
+const upstreamInFlight = new Map(); // key => Promise
+const UPSTREAM_CACHE_STATS = { hits: 0, staleHits: 0, misses: 0, coalesced: 0, refreshErrors: 0, lastKnownGood: 0 };
+
+function upstreamCacheKey(service, path, params) {
+  const entries = Object.entries(params)
+    .filter(([, v]) => v != null)
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return `${service}:${path}?${new URLSearchParams(entries).toString()}`;
+}
 
-function newsCacheGet(key) {
-  const hit = NEWS_CACHE.get(key);
-  if (!hit) return null;
-  if (hit.exp < now()) { NEWS_CACHE.delete(key); return null; }
-  return hit.val;
+// Single-flight: one upstream call per key at a time; successful bodies are stored under the rule's TTL.
+function fetchUpstreamOnce(key, rule, fetcher) {
+  const pending = upstreamInFlight.get(key);
+  if (pending) {
+    UPSTREAM_CACHE_STATS.coalesced += 1;
+    return pending;
+  }
+  UPSTREAM_CACHE_STATS.misses += 1;
+  const p = fetcher()
+    .then(data => {
+      if (rule) {
+        UPSTREAM_CACHE.set(key, data, rule.ttlMs, rule.staleMs);
+        UPSTREAM_LKG.set(key, data, UPSTREAM_LKG_MAX_AGE_MS);
+      }
+      return data;
+    })
+    .finally(() => upstreamInFlight.delete(key));
+  upstreamInFlight.set(key, p);
+  return p;
 }
-function newsCacheSet(key, val, ttlMs) {
-  if (NEWS_CACHE.size >= NEWS_CACHE_MAX && !NEWS_CACHE.has(key)) {
-    let minKey = null, minExp = Infinity;
-    for (const [k, v] of NEWS_CACHE.entries()) {
-      if (v.exp < minExp) { minExp = v.exp; minKey = k; }
+
+async function cachedUpstream(service, path, params, fetcher) {
+  const key = upstreamCacheKey(service, path, params);
+  const rule = UPSTREAM_CACHE_RULES.find(r => r.re.test(path)) || null;
+  if (rule) {
+    const hit = await UPSTREAM_CACHE.peekShared(key);
+    if (hit && hit.exp >= now()) {
+      UPSTREAM_CACHE_STATS.hits += 1;
+      return hit.val;
+    }
+    if (hit) {
+      UPSTREAM_CACHE_STATS.staleHits += 1;
+      if (!upstreamInFlight.has(key)) {
+        fetchUpstreamOnce(key, rule, fetcher).catch(() => { UPSTREAM_CACHE_STATS.refreshErrors += 1; });
+      }
+      return hit.val;
     }
-    if (minKey != null) NEWS_CACHE.delete(minKey);
   }
-  NEWS_CACHE.set(key, { val, exp: now() + ttlMs });
+  try {
+    return await fetchUpstreamOnce(key, rule, fetcher);
+  } catch (e) {
+    const lkg = rule && isUpstreamOutage(e) ? UPSTREAM_LKG.peek(key) : null;
+    if (!lkg) throw e;
+    UPSTREAM_CACHE_STATS.lastKnownGood += 1;
+    markResponseStale(lkg.exp - UPSTREAM_LKG_MAX_AGE_MS);
+    return lkg.val;
+  }
+}
+
+function upstreamCacheMetrics() {
+  const { hits, staleHits, misses, coalesced } = UPSTREAM_CACHE_STATS;
+  const lookups = hits + staleHits + misses + coalesced;
+  return {
+    ...UPSTREAM_CACHE_STATS,
+    hitRatio: lookups ? +((hits + staleHits + coalesced) / lookups).toFixed(4) : 0,
+    size: UPSTREAM_CACHE.size,
+    max: UPSTREAM_CACHE_MAX,
+    bytes: UPSTREAM_CACHE.bytes,
+    maxBytes: UPSTREAM_CACHE_MAX_BYTES,
+    lastKnownGoodBytes: UPSTREAM_LKG.bytes,
+    inFlight: upstreamInFlight.size,
+  };
 }
 
 // limit concurrency for N async jobs
@@ -386,7 +1483,7 @@ function formatShareCount(val) {
 
 async function getTickerOverview(ticker) {
   const key = `ovr:${ticker}`;
-  const cached = cacheGet(key);
+  const cached = await FUND_CACHE.load(key);
   if (cached) return cached;
 
   const data = await makePolygonRequest(`/v3/reference/tickers/${encodeURIComponent(ticker)}`);
@@ -398,7 +1495,7 @@ async function getTickerOverview(ticker) {
     weightedSharesOut: r.weighted_shares_outstanding ?? null,
     shareClassSharesOut: r.share_class_shares_outstanding ?? null
   };
-  cacheSet(key, out);
+  FUND_CACHE.set(key, out, TTL_MS);
   return out;
 }
 
@@ -417,24 +1514,297 @@ function ymdNY(d = new Date()) {
 }
 function addDays(d, days) { return new Date(d.getTime() + days * 86400000); }
 
-async function fetchGrouped(dateStr) {
-  return await makePolygonRequest(`/v2/aggs/grouped/locale/us/market/stocks/${dateStr}`, {
-    adjusted: true,
-    limit: 50000,
-  });
+// Minutes since NY midnight for an epoch-ms timestamp (bars are stamped at minute start).
+const NY_HM_FORMAT = new Intl.DateTimeFormat("en-US", {
+  timeZone: "America/New_York",
+  hour: "2-digit", minute: "2-digit", hourCycle: "h23"
+});
+function minuteOfDayNY(ts) {
+  const parts = NY_HM_FORMAT.formatToParts(new Date(ts));
+  const hh = +parts.find(p => p.type === "hour").value;
+  const mm = +parts.find(p => p.type === "minute").value;
+  return hh * 60 + mm;
 }
 
-// Walk back up to N NY-calendar days to find a trading day with grouped results
-async function findLastTradingDayNY(maxBack = 15) {
-  let d = new Date();
-  for (let i = 0; i < maxBack; i++) {
-    const dateStr = ymdNY(d);
-    const grouped = await fetchGrouped(dateStr);
+// Session boundaries (NY minute of day)
+const PREMARKET_OPEN_MIN = 4 * 60;      // 04:00 ET
+const RTH_OPEN_MIN = 9 * 60 + 30;       // 09:30 ET
+const RTH_CLOSE_MIN = 16 * 60;          // 16:00 ET
+const AFTERHOURS_CLOSE_MIN = 20 * 60;   // 20:00 ET
+
+// ---------- NYSE calendar ----------
+// Rule-based full-day closures and 13:00 early closes (no hard-coded year tables). Saturday
+// holidays are observed on Friday and Sunday holidays on Monday, except New Year's Day on a
+// Saturday (not observed). On early-close days extended hours end at 17:00.
+function ymdOf(y, m, d) {
+  return `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+}
+function nthWeekdayOfMonth(y, m, weekday, n) {
+  const first = new Date(Date.UTC(y, m - 1, 1)).getUTCDay();
+  return 1 + ((weekday - first + 7) % 7) + (n - 1) * 7;
+}
+function lastWeekdayOfMonth(y, m, weekday) {
+  const lastDay = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  const lastDow = new Date(Date.UTC(y, m - 1, lastDay)).getUTCDay();
+  return lastDay - ((lastDow - weekday + 7) % 7);
+}
+function easterSundayUTC(y) {
+  // Anonymous Gregorian algorithm
+  const a = y % 19, b = Math.floor(y / 100), c = y % 100;
+  const d = Math.floor(b / 4), e = b % 4, f = Math.floor((b + 8) / 25), g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30, i = Math.floor(c / 4), k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7, m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31), day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(y, month - 1, day));
+}
+function observedYmd(y, m, d) {
+  const dow = new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+  const shifted = new Date(Date.UTC(y, m - 1, d + (dow === 6 ? -1 : dow === 0 ? 1 : 0)));
+  return shifted.toISOString().slice(0, 10);
+}
+
+const NYSE_HOLIDAY_CACHE = new Map(); // year -> Map(ymd -> name)
+function nyseHolidays(y) {
+  if (NYSE_HOLIDAY_CACHE.has(y)) return NYSE_HOLIDAY_CACHE.get(y);
+  const out = new Map();
+  const newYear = new Date(Date.UTC(y, 0, 1)).getUTCDay();
+  if (newYear !== 6) out.set(observedYmd(y, 1, 1), "New Year's Day");
+  out.set(ymdOf(y, 1, nthWeekdayOfMonth(y, 1, 1, 3)), "Martin Luther King Jr. Day");
+  out.set(ymdOf(y, 2, nthWeekdayOfMonth(y, 2, 1, 3)), "Washington's Birthday");
+  out.set(addDays(easterSundayUTC(y), -2).toISOString().slice(0, 10), "Good Friday");
+  out.set(ymdOf(y, 5, lastWeekdayOfMonth(y, 5, 1)), "Memorial Day");
+  if (y >= 2022) out.set(observedYmd(y, 6, 19), "Juneteenth");
+  out.set(observedYmd(y, 7, 4), "Independence Day");
+  out.set(ymdOf(y, 9, nthWeekdayOfMonth(y, 9, 1, 1)), "Labor Day");
+  out.set(ymdOf(y, 11, nthWeekdayOfMonth(y, 11, 4, 4)), "Thanksgiving Day");
+  out.set(observedYmd(y, 12, 25), "Christmas Day");
+  NYSE_HOLIDAY_CACHE.set(y, out);
+  return out;
+}
+
+function holidayNameNY(ymd) {
+  return nyseHolidays(parseInt(ymd.slice(0, 4), 10)).get(ymd) || null;
+}
+function isTradingDayNY(ymd) {
+  const dow = new Date(`${ymd}T12:00:00Z`).getUTCDay();
+  if (dow === 0 || dow === 6) return false;
+  return !holidayNameNY(ymd);
+}
+
+const EARLY_CLOSE_MIN = 13 * 60;             // 13:00 ET
+const EARLY_CLOSE_AFTERHOURS_MIN = 17 * 60;  // 17:00 ET
+function earlyCloseNameNY(ymd) {
+  if (!isTradingDayNY(ymd)) return null;
+  const y = parseInt(ymd.slice(0, 4), 10);
+  const july4Dow = new Date(Date.UTC(y, 6, 4)).getUTCDay();
+  if (ymd === ymdOf(y, 7, 3) && july4Dow >= 2 && july4Dow <= 5) return "Independence Day (eve)";
+  if (ymd === ymdOf(y, 11, nthWeekdayOfMonth(y, 11, 4, 4) + 1)) return "Day after Thanksgiving";
+  if (ymd === ymdOf(y, 12, 24)) return "Christmas Eve";
+  return null;
+}
+
+// Session boundaries (NY minutes) for a trading day, or null when the exchange is closed.
+function tradingHoursNY(ymd) {
+  if (!isTradingDayNY(ymd)) return null;
+  const early = earlyCloseNameNY(ymd);
+  return {
+    date: ymd,
+    premarketOpen: PREMARKET_OPEN_MIN,
+    regularOpen: RTH_OPEN_MIN,
+    regularClose: early ? EARLY_CLOSE_MIN : RTH_CLOSE_MIN,
+    afterhoursClose: early ? EARLY_CLOSE_AFTERHOURS_MIN : AFTERHOURS_CLOSE_MIN,
+    earlyClose: early,
+  };
+}
+
+function shiftYmd(ymd, days) {
+  return addDays(new Date(`${ymd}T12:00:00Z`), days).toISOString().slice(0, 10);
+}
+function nextTradingDayNY(ymd, dir = 1) {
+  let d = ymd;
+  for (let i = 0; i < 15; i++) {
+    d = shiftYmd(d, dir);
+    if (isTradingDayNY(d)) return d;
+  }
+  return null;
+}
+
+// UTC offset (minutes) of New York on a date; taken at noon, after any 02:00 DST switch.
+const NY_OFFSET_FORMAT = new Intl.DateTimeFormat("en-US", { timeZone: "America/New_York", timeZoneName: "shortOffset" });
+function nyOffsetMinutes(ymd) {
+  const name = NY_OFFSET_FORMAT.formatToParts(new Date(`${ymd}T12:00:00Z`)).find(p => p.type === "timeZoneName")?.value || "GMT-5";
+  const m = /GMT([+-])(\d{1,2})(?::(\d{2}))?/.exec(name);
+  if (!m) return -300;
+  return (m[1] === "-" ? -1 : 1) * (parseInt(m[2], 10) * 60 + parseInt(m[3] || "0", 10));
+}
+// NY wall-clock time of an epoch-ms timestamp, as ms since 1970-01-01 00:00 "NY local": day number and
+// minute of day then come from integer arithmetic. For bulk bar loops where formatToParts per bar is too
+// slow; the offset is looked up once per UTC day (DST switches at 02:00 NY on a Sunday, outside sessions).
+const nyOffsetByUtcDay = new Map(); // UTC day number -> NY offset minutes
+function nyLocalMs(ts) {
+  const utcDay = Math.floor(ts / 86400000);
+  let off = nyOffsetByUtcDay.get(utcDay);
+  if (off === undefined) {
+    off = nyOffsetMinutes(new Date(utcDay * 86400000).toISOString().slice(0, 10));
+    nyOffsetByUtcDay.set(utcDay, off);
+  }
+  return ts + off * 60000;
+}
+// NY wall-clock (date + minute of day) -> Date
+function nyTimeToDate(ymd, minuteOfDay) {
+  return new Date(Date.parse(`${ymd}T00:00:00Z`) + (minuteOfDay - nyOffsetMinutes(ymd)) * 60000);
+}
+
+// premarket 04:00–09:30, regular 09:30–16:00 (13:00 on early closes), afterhours to 20:00 (17:00); else closed.
+function marketSessionNY(d = new Date()) {
+  const hours = tradingHoursNY(ymdNY(d));
+  if (!hours) return "closed";
+  const m = minuteOfDayNY(d.getTime());
+  if (m >= hours.premarketOpen && m < hours.regularOpen) return "premarket";
+  if (m >= hours.regularOpen && m < hours.regularClose) return "regular";
+  if (m >= hours.regularClose && m < hours.afterhoursClose) return "afterhours";
+  return "closed";
+}
+
+// Full status for /api/market/status: next regular open/close as ISO instants.
+function marketStatusNY(d = new Date()) {
+  const today = ymdNY(d);
+  const m = minuteOfDayNY(d.getTime());
+  const hours = tradingHoursNY(today);
+  const session = marketSessionNY(d);
+
+  const openDay = hours && m < hours.regularOpen ? today : nextTradingDayNY(today);
+  const closeDay = hours && m < hours.regularClose ? today : openDay;
+  const closeHours = closeDay ? tradingHoursNY(closeDay) : null;
+  return {
+    session,
+    date: today,
+    is_trading_day: !!hours,
+    is_market_open: session === "regular",
+    holiday: holidayNameNY(today),
+    early_close: hours ? hours.earlyClose : null,
+    regular_open: hours ? nyTimeToDate(today, hours.regularOpen).toISOString() : null,
+    regular_close: hours ? nyTimeToDate(today, hours.regularClose).toISOString() : null,
+    next_open: openDay ? nyTimeToDate(openDay, RTH_OPEN_MIN).toISOString() : null,
+    next_close: closeHours ? nyTimeToDate(closeDay, closeHours.regularClose).toISOString() : null,
+    previous_trading_day: nextTradingDayNY(today, -1),
+    next_trading_day: nextTradingDayNY(today, 1),
+  };
+}
+
+// ---------- Opening range (ORB) ----------
+const ORB_MINUTES_ALLOWED = [1, 5, 15, 30];
+const ORB_MINUTES_DEFAULT = 5;
+
+function normalizeOrbMinutes(v) {
+  const n = parseInt(v, 10);
+  return ORB_MINUTES_ALLOWED.includes(n) ? n : ORB_MINUTES_DEFAULT;
+}
+
+// High/low of bars whose NY minute falls in [fromMin, toMin). Null when no bars in window.
+function rangeOfBars(bars, fromMin, toMin) {
+  let high = null, low = null, count = 0;
+  for (const b of bars) {
+    if (typeof b?.t !== "number" || typeof b.h !== "number" || typeof b.l !== "number") continue;
+    const m = minuteOfDayNY(b.t);
+    if (m < fromMin || m >= toMin) continue;
+    high = high == null ? b.h : Math.max(high, b.h);
+    low = low == null ? b.l : Math.min(low, b.l);
+    count += 1;
+  }
+  return count ? { high, low, bars: count } : null;
+}
+
+/**
+ * Opening range from today's 1-minute bars (ascending).
+ * mode "orb": 09:30 + orbMinutes; mode "premarket": 04:00–09:30 high/low.
+ * Breakout = first bar after the window that closes outside the range; state is where `last` sits now.
+ */
+function computeOpeningRange(bars, { orbMinutes = ORB_MINUTES_DEFAULT, mode = "orb", last = null } = {}) {
+  const list = Array.isArray(bars) ? bars : [];
+  const windowEnd = mode === "premarket" ? RTH_OPEN_MIN : RTH_OPEN_MIN + orbMinutes;
+  const range = mode === "premarket"
+    ? rangeOfBars(list, PREMARKET_OPEN_MIN, RTH_OPEN_MIN)
+    : rangeOfBars(list, RTH_OPEN_MIN, windowEnd);
+  const premarket = mode === "premarket" ? range : rangeOfBars(list, PREMARKET_OPEN_MIN, RTH_OPEN_MIN);
+
+  const out = {
+    mode,
+    orbMinutes: mode === "premarket" ? null : orbMinutes,
+    high: null,
+    low: null,
+    complete: false,
+    state: "pending",          // pending | inside | above | below
+    breakoutDirection: null,   // first close outside the range: "above" | "below"
+    breakoutTime: null,
+    breakoutPrice: null,
+    premarketHigh: premarket ? premarket.high : null,
+    premarketLow: premarket ? premarket.low : null,
+  };
+  if (!range) return out;
+  out.high = range.high;
+  out.low = range.low;
+
+  let lastClose = null;
+  for (const b of list) {
+    if (typeof b?.t !== "number" || typeof b.c !== "number") continue;
+    if (minuteOfDayNY(b.t) < windowEnd) continue;
+    out.complete = true;
+    lastClose = b.c;
+    if (out.breakoutDirection) continue;
+    if (b.c > range.high) out.breakoutDirection = "above";
+    else if (b.c < range.low) out.breakoutDirection = "below";
+    if (out.breakoutDirection) {
+      out.breakoutTime = new Date(b.t).toISOString();
+      out.breakoutPrice = b.c;
+    }
+  }
+  // Thin names may not print a bar right after the window. Then the bars' own trading date decides: an
+  // earlier session is over, today's closes once the NY clock passes the window.
+  if (!out.complete) {
+    const lastT = list.reduce((t, b) => (typeof b?.t === "number" && b.t > t ? b.t : t), 0);
+    const sessionDate = ymdNY(new Date(lastT));
+    const today = ymdNY();
+    out.complete = sessionDate < today || (sessionDate === today && minuteOfDayNY(Date.now()) >= windowEnd);
+  }
+  if (!out.complete) return out;
+
+  const px = typeof last === "number" ? last : lastClose;
+  if (px == null) out.state = "inside";
+  else if (px > range.high) out.state = "above";
+  else if (px < range.low) out.state = "below";
+  else out.state = "inside";
+  return out;
+}
+
+// Today's (NY) 1-minute bars, ascending; premarket through afterhours fits in one page.
+async function fetchMinuteBarsNY(ticker, dateStr = ymdNY()) {
+  const data = await makePolygonRequest(
+    `/v2/aggs/ticker/${encodeURIComponent(ticker)}/range/1/minute/${dateStr}/${dateStr}`,
+    { adjusted: true, sort: "asc", limit: 5000 }
+  );
+  return Array.isArray(data?.results) ? data.results : [];
+}
+
+async function fetchGrouped(dateStr) {
+  return await makePolygonRequest(`/v2/aggs/grouped/locale/us/market/stocks/${dateStr}`, {
+    adjusted: true,
+    limit: 50000,
+  });
+}
+
+// Walk back up to N NY-calendar days to find a trading day with grouped results.
+// Weekends/holidays are skipped from the calendar; only trading days hit upstream.
+async function findLastTradingDayNY(maxBack = 15) {
+  const today = ymdNY();
+  let dateStr = today;
+  for (let i = 0; i < maxBack; i++, dateStr = shiftYmd(dateStr, -1)) {
+    if (!isTradingDayNY(dateStr)) continue;
+    const grouped = await fetchGrouped(dateStr);
     if (grouped?.results?.length) return { dateStr, grouped };
-    d = addDays(d, -1);
   }
-  // If nothing found, return "yesterday" with empty results
-  return { dateStr: ymdNY(addDays(new Date(), -1)), grouped: { results: [] } };
+  // If nothing found, return the previous trading day with empty results
+  return { dateStr: nextTradingDayNY(today, -1) || shiftYmd(today, -1), grouped: { results: [] } };
 }
 
 // ----- Previous-day gainers (fallback) -----
@@ -460,9 +1830,12 @@ async function computeGainers(limit = 50) {
 }
 
 // ----- Intraday snapshot gainers (real-time-ish) -----
-async function computeSnapshotGainers(limit = 50) {
-  // Polygon snapshots: /v2/snapshot/locale/us/markets/stocks/gainers
-  const data = await makePolygonRequest(`/v2/snapshot/locale/us/markets/stocks/gainers`);
+const GAINERS_CLUSTERS = ["stocks", "crypto", "forex"]; // markets Polygon has gainers snapshots for
+
+async function computeSnapshotGainers(limit = 50, cluster = "stocks") {
+  // Polygon snapshots: /v2/snapshot/locale/us/markets/stocks/gainers, /v2/snapshot/locale/global/markets/crypto/gainers
+  const locale = cluster === "stocks" ? "us" : "global";
+  const data = await makePolygonRequest(`/v2/snapshot/locale/${locale}/markets/${cluster}/gainers`);
 
   const rows = (data?.tickers || data?.results || [])
     .map(r => {
@@ -522,16 +1895,29 @@ const ROUTE_MANIFEST = [
   { method: "GET", path: "/health", desc: "Basic health" },
   { method: "GET", path: "/api", desc: "Route manifest + version" },
   { method: "GET", path: "/api/health", desc: "Health + services + version" },
+  { method: "GET", path: "/metrics", desc: "Metrics (JSON or Prometheus text via ?format=prometheus)" },
   { method: "GET", path: "/api/gainers", desc: "Top gainers (scanner)" },
   { method: "POST", path: "/api/scan/rct", desc: "Server-side batch RCT scan" },
   { method: "GET", path: "/api/market-tickers", desc: "Whole market tickers (all US stocks from last trading day)" },
   { method: "GET", path: "/api/float/:symbol", desc: "Free float (Massive); ?cursor=" },
   { method: "GET", path: "/api/historical/:symbol", desc: "Historical price data" },
   { method: "GET", path: "/api/news/:symbol", desc: "News; ?source=benzinga|stocks&limit=&cursor=" },
+  { method: "GET", path: "/api/indicators/:symbol", desc: "Indicator series; ?set=rsi14,ema9,macd,atr14,bb20,stoch14_3,vwap&timespan=5minute&limit=" },
+  { method: "POST", path: "/api/indicators/batch", desc: "Indicators for many tickers; {tickers, set, timespan, limit}" },
   { method: "GET", path: "/api/shared-tickers", desc: "List shared tickers" },
+  { method: "GET", path: "/api/shared-tickers/archive", desc: "Archived shared tickers by date" },
+  { method: "GET", path: "/api/shared-tickers/audit", desc: "Shared ticker audit log" },
   { method: "POST", path: "/api/shared-tickers", desc: "Add shared ticker (developer)" },
-  { method: "DELETE", path: "/api/shared-tickers/:symbol", desc: "Remove shared ticker" },
-  { method: "GET", path: "/gainers", desc: "Intraday top gainers" },
+  { method: "PATCH", path: "/api/shared-tickers/:symbol", desc: "Update shared ticker notes/levels/tags (developer)" },
+  { method: "DELETE", path: "/api/shared-tickers/:symbol", desc: "Remove shared ticker (developer)" },
+  { method: "GET", path: "/api/auth/whoami", desc: "Identity + role of the presented API key" },
+  { method: "POST", path: "/api/ws/ticket", desc: "Single-use signed ticket for /ws or /ws/scanner (?ticket=)" },
+  { method: "GET", path: "/api/admin/keys", desc: "List API keys (admin)" },
+  { method: "POST", path: "/api/admin/keys", desc: "Issue API key (admin)" },
+  { method: "POST", path: "/api/admin/keys/:id/rotate", desc: "Rotate API key secret (admin)" },
+  { method: "DELETE", path: "/api/admin/keys/:id", desc: "Revoke API key (admin)" },
+  { method: "GET", path: "/api/config", desc: "Redacted server config (admin)" },
+  { method: "GET", path: "/gainers", desc: "Intraday top gainers; ?cluster=stocks|crypto|forex" },
   { method: "GET", path: "/most_active", desc: "Most active by volume; ?limit=N" },
   { method: "GET", path: "/market/top-gainers", desc: "Alias of /gainers" },
   { method: "GET", path: "/symbol/:symbol", desc: "Polygon snapshot" },
@@ -540,8 +1926,9 @@ const ROUTE_MANIFEST = [
   { method: "GET", path: "/previous_close/:symbol", desc: "Previous close" },
   { method: "GET", path: "/historical/:symbol", desc: "Day/minute historical" },
   { method: "GET", path: "/quote/:symbol", desc: "Quote (scanner)" },
-  { method: "WS", path: "/ws", desc: "Polygon WS passthrough" },
-  { method: "WS", path: "/ws/scanner", desc: "Normalized scanner stream (Massive minute aggregates + server-controlled universe)" },
+  { method: "WS", path: "/ws", desc: "Polygon WS passthrough over one shared upstream per ?cluster= (stocks|options|crypto|forex|indices); Polygon subscribe/unsubscribe protocol" },
+  { method: "WS", path: "/ws/scanner", desc: "Normalized scanner stream (Massive minute aggregates + server-controlled universe); per-client subscribe filters" },
+  { method: "WS", path: "/ws/shared", desc: "Shared ticker add/update/remove/reset events" },
 ];
 
 // --- Routes ----------------------------------------------------------------
@@ -558,8 +1945,9 @@ app.get("/api", (_req, res) => {
 
 // API Health endpoint - safe, public endpoint with no secrets
 app.get("/api/health", (_req, res) => {
+  const breakers = circuitBreakerMetrics();
   res.json({
-    status: "ok",
+    status: Object.values(breakers).some(b => b.state !== "closed") ? "degraded" : "ok",
     env: process.env.NODE_ENV || "production",
     services: {
       dialogflow: !!(process.env.DIALOGFLOW_PROJECT_ID && process.env.DIALOGFLOW_PRIVATE_KEY && process.env.DIALOGFLOW_CLIENT_EMAIL),
@@ -569,73 +1957,192 @@ app.get("/api/health", (_req, res) => {
       massive: !!(process.env.MASSIVE_API_KEY || process.env.POLYGON_API_KEY),
       massiveBase: process.env.MASSIVE_API_BASE_URL || null,
       benzinga: !!(process.env.MASSIVE_API_KEY || process.env.POLYGON_API_KEY),
+      stateStore: STATE_STORE.status(),
     },
+    circuitBreakers: breakers,
     version: API_VERSION,
     routes: ROUTE_MANIFEST,
     timestamp: new Date().toISOString(),
   });
 });
 
-// API Config endpoint - SECURITY: Only mounted if ADMIN_TOKEN is set in production
-// In production without ADMIN_TOKEN: route is not mounted (returns 404)
-// In production with ADMIN_TOKEN: requires x-admin-token header matching ADMIN_TOKEN
-// In development: always available (for debugging)
-const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
-const isDevelopment = process.env.NODE_ENV !== 'production';
-
-if (isDevelopment || ADMIN_TOKEN) {
-  app.get("/api/config", (req, res) => {
-    // In production, require admin token
-    if (!isDevelopment) {
-      const adminToken = req.headers['x-admin-token'];
-      if (adminToken !== ADMIN_TOKEN) {
-        return res.status(401).json({
-          error: "Unauthorized",
-          message: "Missing or invalid x-admin-token header. Header value must equal ADMIN_TOKEN."
-        });
-      }
-    }
-
-    // Redact sensitive values - only show last 4 chars
-    function redact(value) {
-      if (!value || typeof value !== 'string') return null;
-      if (value.length <= 4) return '****';
-      return '****' + value.slice(-4);
-    }
+// API Config endpoint - SECURITY: admin role only (admin API key, or x-admin-token matching ADMIN_TOKEN)
+app.get("/api/config", requireRole("admin"), (req, res) => {
+  // Redact sensitive values - only show last 4 chars
+  function redact(value) {
+    if (!value || typeof value !== 'string') return null;
+    if (value.length <= 4) return '****';
+    return '****' + value.slice(-4);
+  }
 
-    res.json({
-      // Dialogflow Configuration (redacted)
-      dialogflow: {
-        projectId: process.env.DIALOGFLOW_PROJECT_ID || null,
-        clientEmail: process.env.DIALOGFLOW_CLIENT_EMAIL || null,
-        privateKey: redact(process.env.DIALOGFLOW_PRIVATE_KEY),
-      },
-      // Encryption (redacted)
-      encryption: {
-        key: redact(process.env.ENCRYPTION_KEY),
-      },
-      // Groq AI API Configuration (redacted)
-      ai: {
-        apiKey: redact(process.env.AI_COMPAT_API_KEY),
-        baseUrl: process.env.AI_COMPAT_BASE_URL || 'https://api.groq.com/openai/v1',
-        model: process.env.AI_COMPAT_MODEL || 'llama-3.3-70b-versatile',
-      },
-      // Server Configuration (safe to show)
-      server: {
-        port: process.env.PORT || 3000,
-        nodeEnv: process.env.NODE_ENV || 'production',
-      },
-      // CORS Configuration (safe to show)
-      cors: {
-        wixSiteUrl: process.env.WIX_SITE_URL || null,
-        frontendUrl: process.env.FRONTEND_URL || null,
-      },
-      timestamp: new Date().toISOString(),
-      warning: "This endpoint should only be used in development. Secrets are redacted.",
-    });
+  res.json({
+    // Dialogflow Configuration (redacted)
+    dialogflow: {
+      projectId: process.env.DIALOGFLOW_PROJECT_ID || null,
+      clientEmail: process.env.DIALOGFLOW_CLIENT_EMAIL || null,
+      privateKey: redact(process.env.DIALOGFLOW_PRIVATE_KEY),
+    },
+    // Encryption (redacted)
+    encryption: {
+      key: redact(process.env.ENCRYPTION_KEY),
+    },
+    // Groq AI API Configuration (redacted)
+    ai: {
+      apiKey: redact(process.env.AI_COMPAT_API_KEY),
+      baseUrl: process.env.AI_COMPAT_BASE_URL || 'https://api.groq.com/openai/v1',
+      model: process.env.AI_COMPAT_MODEL || 'llama-3.3-70b-versatile',
+    },
+    // Server Configuration (safe to show)
+    server: {
+      port: process.env.PORT || 3000,
+      nodeEnv: process.env.NODE_ENV || 'production',
+    },
+    // CORS Configuration (safe to show)
+    cors: {
+      wixSiteUrl: process.env.WIX_SITE_URL || null,
+      frontendUrl: process.env.FRONTEND_URL || null,
+    },
+    timestamp: new Date().toISOString(),
+    warning: "This endpoint should only be used in development. Secrets are redacted.",
   });
+});
+
+// ----- API keys (admin) -----
+// Records live in STATE_STORE hash auth:keys (id -> {id, user, role, label, hash, createdAt, createdBy,
+// rotatedAt, revokedAt}); the plaintext key is only returned when issued or rotated.
+const API_KEYS_KEY = "auth:keys";
+const API_KEYS_LAST_USED_KEY = "auth:keys:last-used";
+const API_KEY_REGEX = /^pxk_([a-f0-9]{12})_([A-Za-z0-9_-]{32,})$/;
+const API_KEYS_FILE = process.env.API_KEYS_FILE || "";
+const API_KEY_CACHE = createTtlCache(1000); // local only, so other instances see revocations within its TTL
+const API_KEY_CACHE_TTL_MS = 30 * 1000;
+const apiKeyTouchedAt = new Map(); // id -> ms of last lastUsedAt write
+
+function newApiKeySecret(id) {
+  return `pxk_${id}_${crypto.randomBytes(32).toString("base64url")}`;
+}
+
+function publicApiKey(rec, lastUsedAt = null) {
+  const { hash, ...rest } = rec;
+  return { ...rest, lastUsedAt };
+}
+
+async function getApiKeyRecord(id) {
+  const cached = API_KEY_CACHE.get(id);
+  if (cached) return cached;
+  const rec = await STATE_STORE.hget(API_KEYS_KEY, id);
+  if (rec) API_KEY_CACHE.set(id, rec, API_KEY_CACHE_TTL_MS);
+  return rec;
+}
+
+async function saveApiKeyRecord(rec) {
+  await STATE_STORE.hset(API_KEYS_KEY, rec.id, rec);
+  API_KEY_CACHE.delete(rec.id);
+  if (API_KEYS_FILE) await writeJsonFileAtomic(API_KEYS_FILE, Object.values(await STATE_STORE.hgetall(API_KEYS_KEY)));
+}
+
+// lastUsedAt lives in its own hash (at most one write per key per minute) so it can never race a revoke.
+function touchApiKey(id) {
+  const t = Date.now();
+  if (t - (apiKeyTouchedAt.get(id) || 0) < 60 * 1000) return;
+  apiKeyTouchedAt.set(id, t);
+  STATE_STORE.hset(API_KEYS_LAST_USED_KEY, id, new Date(t).toISOString()).catch(() => { });
+}
+
+// Seed the store from API_KEYS_FILE at boot; records already in the store (e.g. Redis) win.
+async function loadApiKeysFile() {
+  if (!API_KEYS_FILE) return;
+  const list = await readJsonFile(API_KEYS_FILE, []);
+  let loaded = 0;
+  for (const rec of Array.isArray(list) ? list : []) {
+    if (!rec?.id || !rec.hash || await STATE_STORE.hget(API_KEYS_KEY, rec.id)) continue;
+    await STATE_STORE.hset(API_KEYS_KEY, rec.id, rec);
+    loaded += 1;
+  }
+  if (loaded) console.log(`Loaded ${loaded} API key(s) from ${API_KEYS_FILE}`);
 }
-// If ADMIN_TOKEN is not set in production, /api/config is not mounted (returns 404)
+loadApiKeysFile().catch(e => console.error("API key file load failed:", e.message));
+
+function validApiKeyId(id) {
+  return /^[a-f0-9]{12}$/.test(String(id || ""));
+}
+
+app.get("/api/auth/whoami", (req, res) => {
+  res.json({ success: true, identity: req.auth });
+});
+
+app.get("/api/admin/keys", requireRole("admin"), async (req, res) => {
+  try {
+    const [all, lastUsed] = await Promise.all([
+      STATE_STORE.hgetall(API_KEYS_KEY),
+      STATE_STORE.hgetall(API_KEYS_LAST_USED_KEY),
+    ]);
+    const keys = Object.values(all)
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+      .map(rec => publicApiKey(rec, lastUsed[rec.id] || null));
+    res.json({ success: true, keys });
+  } catch (e) {
+    sendRouteError(res, e, { label: "Failed to list API keys" });
+  }
+});
+
+app.post("/api/admin/keys", requireRole("admin"), async (req, res) => {
+  try {
+    const user = String(req.body?.user || "").trim();
+    const role = String(req.body?.role || "viewer").trim().toLowerCase();
+    if (!user || user.length > 200) return res.status(400).json({ error: "user is required (max 200 chars)" });
+    if (!ROLES.includes(role)) return res.status(400).json({ error: "Invalid role", allowed: ROLES });
+    const id = crypto.randomBytes(6).toString("hex");
+    const key = newApiKeySecret(id);
+    const rec = {
+      id,
+      user,
+      role,
+      label: req.body?.label ? String(req.body.label).slice(0, 200) : null,
+      hash: hashApiKey(key),
+      createdAt: new Date().toISOString(),
+      createdBy: req.auth.user,
+      rotatedAt: null,
+      revokedAt: null,
+    };
+    await saveApiKeyRecord(rec);
+    res.status(201).json({ success: true, key, record: publicApiKey(rec) });
+  } catch (e) {
+    sendRouteError(res, e, { label: "Failed to issue API key" });
+  }
+});
+
+app.post("/api/admin/keys/:id/rotate", requireRole("admin"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!validApiKeyId(id)) return res.status(400).json({ error: "Invalid key id", id });
+    const rec = await STATE_STORE.hget(API_KEYS_KEY, id);
+    if (!rec) return res.status(404).json({ error: "API key not found", id });
+    if (rec.revokedAt) return res.status(409).json({ error: "API key is revoked", id });
+    const key = newApiKeySecret(id);
+    const next = { ...rec, hash: hashApiKey(key), rotatedAt: new Date().toISOString() };
+    await saveApiKeyRecord(next);
+    closeWsForApiKey(id, "API key rotated");
+    res.json({ success: true, key, record: publicApiKey(next) });
+  } catch (e) {
+    sendRouteError(res, e, { label: "Failed to rotate API key" });
+  }
+});
+
+app.delete("/api/admin/keys/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!validApiKeyId(id)) return res.status(400).json({ error: "Invalid key id", id });
+    const rec = await STATE_STORE.hget(API_KEYS_KEY, id);
+    if (!rec) return res.status(404).json({ error: "API key not found", id });
+    const next = rec.revokedAt ? rec : { ...rec, revokedAt: new Date().toISOString(), revokedBy: req.auth.user };
+    await saveApiKeyRecord(next);
+    closeWsForApiKey(id, "API key revoked");
+    res.json({ success: true, record: publicApiKey(next) });
+  } catch (e) {
+    sendRouteError(res, e, { label: "Failed to revoke API key" });
+  }
+});
 
 // ----- API endpoints for scanner compatibility -----
 app.get("/api/gainers", async (req, res) => {
@@ -643,6 +2150,7 @@ app.get("/api/gainers", async (req, res) => {
     const limit = Math.min(parseInt(req.query.limit || "50", 10) || 50, 500);
     const seen = new Set();
     const tickers = [];
+    const degraded = {};
 
     // Snapshot returns only about 20 names; use it first for live movers.
     try {
@@ -659,7 +2167,11 @@ app.get("/api/gainers", async (req, res) => {
           });
         }
       }
-    } catch (_) { /* snapshot failed; grouped fallback below */ }
+    } catch (e) {
+      // snapshot failed; grouped fallback below, and the response says so
+      degraded.snapshot = String(e?.message || e);
+      console.warn("api/gainers snapshot failed:", degraded.snapshot);
+    }
 
     // Backfill with grouped daily results so the client can request more than ~20.
     if (tickers.length < limit) {
@@ -679,13 +2191,15 @@ app.get("/api/gainers", async (req, res) => {
           }
         }
       } catch (e) {
-        console.warn("api/gainers grouped fallback failed:", e?.message || e);
+        degraded.grouped = String(e?.message || e);
+        console.warn("api/gainers grouped fallback failed:", degraded.grouped);
+        if (!tickers.length) throw e;
       }
     }
 
-    res.json({ tickers });
+    res.json(Object.keys(degraded).length ? { tickers, degraded } : { tickers });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendRouteError(res, error, { label: "Failed to fetch gainers" });
   }
 });
 
@@ -705,7 +2219,7 @@ app.get("/api/market-tickers", async (req, res) => {
 
     res.json({ tickers, date: dateStr, count: tickers.length });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendRouteError(res, error, { label: "Failed to fetch market tickers" });
   }
 });
 
@@ -723,13 +2237,15 @@ app.post("/api/scan/rct", async (req, res) => {
       day_change_percent_min: Number(s.day_change_percent_min ?? 20.0),
       float_max: Number(s.float_max ?? 15_000_000),
       daily_volume_min: Number(s.daily_volume_min ?? 1_000_000),
+      orb_minutes: normalizeOrbMinutes(s.orb_minutes ?? ORB_MINUTES_DEFAULT),
+      orb_mode: s.orb_mode === "premarket" ? "premarket" : "orb",
     };
 
     const tickers = Array.from(new Set(
-      inTickers.map(t => String(t || "").trim().toUpperCase()).filter(validTicker)
+      inTickers.map(t => String(t || "").trim().toUpperCase()).filter(t => validTicker(t, "stocks"))
     ));
     const watchlist = new Set(
-      inWatchlist.map(t => String(t || "").trim().toUpperCase()).filter(validTicker)
+      inWatchlist.map(t => String(t || "").trim().toUpperCase()).filter(t => validTicker(t, "stocks"))
     );
 
     if (!tickers.length) {
@@ -772,11 +2288,10 @@ app.post("/api/scan/rct", async (req, res) => {
         let rawFloat = null;
         let sector = "";
         try {
-          const f = await makeMassiveRequest("/stocks/v1/float", { ticker, limit: 1 });
-          const fr = (f?.results || [])[0] || null;
-          if (fr && typeof fr.free_float === "number" && fr.free_float > 0) {
-            rawFloat = Math.floor(fr.free_float);
-            sector = (fr.sector || "").trim();
+          const f = await getFreeFloat(ticker);
+          if (f.freeFloat != null) {
+            rawFloat = f.freeFloat;
+            sector = f.sector || "";
           }
         } catch (_) { }
         if (!sector) {
@@ -796,14 +2311,31 @@ app.post("/api/scan/rct", async (req, res) => {
         const vol1m = typeof minAgg?.v === "number" ? minAgg.v : null;
         const dayVwap = typeof t?.day?.vw === "number" && t.day.vw > 0 ? t.day.vw : null;
 
+        // Opening range from today's minute bars (only for rows that survived the filters).
+        let orb = computeOpeningRange([], { orbMinutes: rctSettings.orb_minutes, mode: rctSettings.orb_mode });
+        try {
+          const bars = await fetchMinuteBarsNY(ticker, dateStr);
+          orb = computeOpeningRange(bars, { orbMinutes: rctSettings.orb_minutes, mode: rctSettings.orb_mode, last });
+        } catch (_) { }
+        const orbDist = orb.high != null ? last - orb.high : 0;
+
         return {
           ticker,
           last_price: last,
           day_change_percent: +dayPct.toFixed(2),
-          orb_high: 0.0,
-          orb_low: 0.0,
-          distance_to_orb_high: 0,
-          distance_to_orb_high_percent: 0,
+          orb_high: orb.high ?? 0.0,
+          orb_low: orb.low ?? 0.0,
+          distance_to_orb_high: +orbDist.toFixed(4),
+          distance_to_orb_high_percent: orb.high ? +((orbDist / orb.high) * 100).toFixed(2) : 0,
+          orb_minutes: orb.orbMinutes,
+          orb_mode: orb.mode,
+          orb_complete: orb.complete,
+          orb_state: orb.state,
+          orb_breakout_direction: orb.breakoutDirection,
+          orb_breakout_time: orb.breakoutTime,
+          orb_breakout_price: orb.breakoutPrice,
+          premarket_high: orb.premarketHigh,
+          premarket_low: orb.premarketLow,
           volume_1m: vol1m,
           volume_5m: null,
           volume_1m_prev: null,
@@ -864,12 +2396,16 @@ app.post("/api/scan/rct", async (req, res) => {
         returned: results.length,
         mode: "rct",
         worker_limit: workerLimit,
+        orb_minutes: rctSettings.orb_minutes,
+        orb_mode: rctSettings.orb_mode,
+        orb_note:
+          "orb_high/orb_low are 0 until the range has bars; distance_to_orb_high = last_price - orb_high (negative below the range). orb_state is pending until the window closes.",
         volume_note:
           "daily_volume is max(prevDay.v, day.v) for RCT liquidity vs threshold; rct_volume_today / rct_volume_prior_day split.",
       }
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendRouteError(res, error, { label: "Failed to run RCT scan" });
   }
 });
 
@@ -881,38 +2417,37 @@ app.get("/api/float/:symbol", async (req, res) => {
     const { symbol } = req.params;
     const ticker = String(symbol).toUpperCase();
     const cursor = req.query.cursor || undefined;
-    const cacheKey = cursor ? null : `float:${ticker}`;
-    if (cacheKey) {
-      const cached = cacheGet(cacheKey);
-      if (cached) return res.json(cached);
-    }
 
     try {
-      const params = { ticker, limit: 1 };
-      if (cursor) params.cursor = cursor;
-      const data = await makeMassiveRequest("/stocks/v1/float", params);
-      const results = (data?.results || [])[0] ?? null;
-      const out = results
-        ? {
-          ticker,
-          results: {
+      let results, nextUrl;
+      if (cursor) {
+        const data = await makeMassiveRequest("/stocks/v1/float", { ticker, limit: 1, cursor });
+        results = (data?.results || [])[0] ?? null;
+        nextUrl = data?.next_url ?? null;
+      } else {
+        const f = await getFreeFloat(ticker);
+        results = f.record;
+        nextUrl = f.nextUrl;
+      }
+      return res.json({
+        ticker,
+        results: results
+          ? {
             ticker: results.ticker,
             free_float: results.free_float,
             free_float_percent: results.free_float_percent,
             effective_date: results.effective_date,
-          },
-          next_url: data?.next_url ?? null,
-          source: "massive",
-        }
-        : { ticker, results: null, next_url: data?.next_url ?? null, source: "massive" };
-      if (results && !cursor) cacheSet(cacheKey, out);
-      return res.json(out);
+          }
+          : null,
+        next_url: nextUrl,
+        source: "massive",
+      });
     } catch (_) {
       const overview = await getTickerOverview(symbol);
       return res.json({ ticker, results: overview, source: "polygon" });
     }
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendRouteError(res, error, { label: "Failed to fetch float" });
   }
 });
 
@@ -943,16 +2478,70 @@ app.get("/api/historical/:symbol", async (req, res) => {
 
     res.json({ results });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendRouteError(res, error, { label: "Failed to fetch historical data" });
   }
 });
 
+function shapeBenzingaNews(ticker, data) {
+  const results = (data?.results || []).map((r) => ({
+    benzinga_id: r.benzinga_id,
+    title: r.title,
+    author: r.author,
+    published: r.published,
+    published_utc: r.published_utc || r.published || null,
+    last_updated: r.last_updated,
+    url: r.url,
+    teaser: r.teaser,
+    body: r.body,
+    tickers: r.tickers,
+    channels: r.channels,
+    tags: r.tags,
+    images: r.images,
+  }));
+  return { ticker, results, next_url: data?.next_url ?? null, source: "benzinga" };
+}
+
+// Latest Benzinga page for a ticker through NEWS_CACHE (same key as /api/news, so both share hits).
+async function getBenzingaNews(ticker, limit = 10) {
+  const cacheKey = `news:benzinga:${ticker}:${limit}`;
+  const cached = await NEWS_CACHE.load(cacheKey);
+  if (cached) return cached;
+  const data = await makeMassiveRequest("/benzinga/v2/news", { tickers: ticker, limit, sort: "published.desc" });
+  const out = shapeBenzingaNews(ticker, data);
+  NEWS_CACHE.set(cacheKey, out, BENZINGA_TTL_MS);
+  return out;
+}
+
+// Catalyst classification from Benzinga channels/tags + headline keywords. First match wins,
+// so dilution is checked before the generic "agreement"/"contract" wording.
+const CATALYST_RULES = [
+  { type: "offering", channels: ["offerings"], re: /\b(offering|registered direct|private placement|at-the-market|atm program|shelf registration|warrants?|dilut\w*)\b/i },
+  { type: "fda", channels: ["fda"], re: /\b(fda|pdufa|clinical (trial|hold)|phase (1|2|3|i{1,3})|breakthrough therapy|orphan drug)\b/i },
+  { type: "earnings", channels: ["earnings", "earnings beats", "earnings misses", "guidance"], re: /\b(earnings|eps|quarterly results|q[1-4] (results|revenue)|revenue|guidance)\b/i },
+  { type: "merger", channels: ["m&a"], re: /\b(merger|acquir\w*|acquisition|buyout|takeover|tender offer|go(ing)? private)\b/i },
+  { type: "reverse_split", channels: [], re: /\breverse (stock )?split\b/i },
+  { type: "analyst", channels: ["analyst ratings", "upgrades", "downgrades", "price target", "initiation"], re: /\b(upgrade[sd]?|downgrade[sd]?|price target|initiates coverage)\b/i },
+  { type: "contract", channels: ["contracts"], re: /\b(contract|awarded|award|purchase order|partnership|collaboration|agreement)\b/i },
+];
+
+function classifyCatalyst(item) {
+  const names = (arr) => (Array.isArray(arr) ? arr : [])
+    .map(x => String((x && typeof x === "object" ? x.name : x) || "").trim().toLowerCase())
+    .filter(Boolean);
+  const channels = new Set(names(item?.channels).concat(names(item?.tags)));
+  const text = `${item?.title || ""} ${item?.teaser || ""}`;
+  for (const rule of CATALYST_RULES) {
+    if (rule.channels.some(c => channels.has(c)) || rule.re.test(text)) return rule.type;
+  }
+  return "other";
+}
+
 // News: Benzinga (primary) or Stocks News via Massive. https://massive.com/docs/rest/partners/benzinga/news and /rest/stocks/news
 // Query: ?source=benzinga|stocks (default benzinga), ?limit=10, ?cursor= forwarded to Massive. If responses use next_url as full URL for "next page", use that URL per Massive docs.
 // Rate-limited per IP; cached (Benzinga ~30s, Stocks ~3min). Symbol validated.
 app.get("/api/news/:symbol", async (req, res) => {
   const ip = req.ip || req.socket?.remoteAddress || "unknown";
-  if (!checkNewsRateLimit(ip)) {
+  if (!(await checkNewsRateLimit(ip))) {
     return res.status(429).json({ error: "Too many requests", message: "News rate limit exceeded. Try again later." });
   }
   try {
@@ -964,7 +2553,7 @@ app.get("/api/news/:symbol", async (req, res) => {
     const cacheKey = cursor ? null : `news:${source}:${ticker}:${limit}`;
     if (cacheKey) {
       const ttl = source === "benzinga" ? BENZINGA_TTL_MS : STOCKS_NEWS_TTL_MS;
-      const cached = newsCacheGet(cacheKey);
+      const cached = await NEWS_CACHE.load(cacheKey);
       if (cached) return res.json(cached);
     }
 
@@ -990,33 +2579,18 @@ app.get("/api/news/:symbol", async (req, res) => {
         next_url: data?.next_url ?? null,
         source: "stocks",
       };
-      if (!cursor) newsCacheSet(cacheKey, out, STOCKS_NEWS_TTL_MS);
+      if (!cursor) NEWS_CACHE.set(cacheKey, out, STOCKS_NEWS_TTL_MS);
       return res.json(out);
     }
 
     const params = { tickers: ticker, limit, sort: "published.desc" };
     if (cursor) params.cursor = cursor;
     const data = await makeMassiveRequest("/benzinga/v2/news", params);
-    const results = (data?.results || []).map((r) => ({
-      benzinga_id: r.benzinga_id,
-      title: r.title,
-      author: r.author,
-      published: r.published,
-      published_utc: r.published_utc || r.published || null,
-      last_updated: r.last_updated,
-      url: r.url,
-      teaser: r.teaser,
-      body: r.body,
-      tickers: r.tickers,
-      channels: r.channels,
-      tags: r.tags,
-      images: r.images,
-    }));
-    const out = { ticker, results, next_url: data?.next_url ?? null, source: "benzinga" };
-    if (!cursor) newsCacheSet(cacheKey, out, BENZINGA_TTL_MS);
+    const out = shapeBenzingaNews(ticker, data);
+    if (!cursor) NEWS_CACHE.set(cacheKey, out, BENZINGA_TTL_MS);
     return res.json(out);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendRouteError(res, error, { label: "Failed to fetch news" });
   }
 });
 
@@ -1044,7 +2618,7 @@ app.get("/api/price/:symbol", async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendRouteError(res, error, { label: "Failed to fetch price" });
   }
 });
 
@@ -1068,7 +2642,7 @@ app.get("/api/volume/:symbol", async (req, res) => {
 
     res.json({ results });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendRouteError(res, error, { label: "Failed to fetch volume" });
   }
 });
 
@@ -1076,24 +2650,9 @@ app.get("/api/volume/:symbol", async (req, res) => {
 app.get("/api/market/status", async (req, res) => {
   try {
     const now = new Date();
-    const nyTime = new Date(now.toLocaleString("en-US", { timeZone: "America/New_York" }));
-    const hour = nyTime.getHours();
-    const minute = nyTime.getMinutes();
-
-    let session = "closed";
-    if (hour >= 9 && hour < 16) session = "regular";
-    else if (hour >= 4 && hour < 9) session = "premarket";
-    else if (hour >= 16 && hour < 20) session = "afterhours";
-
-    res.json({
-      session,
-      time: nyTime.toISOString(),
-      is_market_open: session === "regular",
-      next_open: "09:30",
-      next_close: "16:00"
-    });
+    res.json({ ...marketStatusNY(now), time: now.toISOString() });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendRouteError(res, error, { label: "Failed to fetch market status" });
   }
 });
 
@@ -1102,20 +2661,16 @@ app.get("/api/rsi/:symbol", async (req, res) => {
   try {
     const { symbol } = req.params;
     const { period = 14, days_back = 30 } = req.query;
+    const p = parseInt(period, 10) || 14;
 
-    const { dateStr } = await findLastTradingDayNY(parseInt(days_back, 10) + 1);
-    const data = await makePolygonRequest(
-      `/v2/aggs/ticker/${encodeURIComponent(symbol)}/range/1/day/${dateStr}/${dateStr}`,
-      { adjusted: true, sort: "desc", limit: period + 10 }
-    );
-
-    // Calculate RSI
-    const prices = (data?.results || []).map(bar => bar.c).reverse();
-    const rsi = calculateRSI(prices, parseInt(period));
+    // Wilder RSI needs a few multiples of the period to settle.
+    const bars = await fetchBarsForLookback(symbol, DAILY_TF, Math.max(parseInt(days_back, 10) || 30, p * 5));
+    const prices = bars.map(bar => bar.c);
+    const rsi = calculateRSI(prices, p);
 
-    res.json({ rsi, period, symbol });
+    res.json({ rsi: rsi != null ? parseFloat(rsi.toFixed(4)) : null, period: p, symbol, data_points: prices.length });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendRouteError(res, error, { label: "Failed to calculate RSI" });
   }
 });
 
@@ -1154,7 +2709,7 @@ app.get("/api/vwap/:symbol", async (req, res) => {
       data_points: results.length
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendRouteError(res, error, { label: "Failed to calculate VWAP" });
   }
 });
 
@@ -1163,29 +2718,26 @@ app.get("/api/macd/:symbol", async (req, res) => {
   try {
     const { symbol } = req.params;
     const { fast = 12, slow = 26, signal = 9, days_back = 60 } = req.query;
-
-    const { dateStr } = await findLastTradingDayNY(parseInt(days_back, 10) + 1);
-    const data = await makePolygonRequest(
-      `/v2/aggs/ticker/${encodeURIComponent(symbol)}/range/1/day/${dateStr}/${dateStr}`,
-      { adjusted: true, sort: "desc", limit: Math.max(fast, slow, signal) + 20 }
-    );
-
-    const prices = (data?.results || []).map(bar => bar.c).reverse();
-    if (prices.length < Math.max(fast, slow, signal)) {
+    const f = parseInt(fast, 10) || 12;
+    const sl = parseInt(slow, 10) || 26;
+    const sg = parseInt(signal, 10) || 9;
+
+    const bars = await fetchBarsForLookback(symbol, DAILY_TF, Math.max(parseInt(days_back, 10) || 60, sl * 3 + sg));
+    const prices = bars.map(bar => bar.c);
+    const macd = calculateMACD(prices, f, sl, sg);
+    if (!macd) {
       return res.json({ error: "Insufficient data for MACD calculation" });
     }
 
-    const macd = calculateMACD(prices, parseInt(fast), parseInt(slow), parseInt(signal));
-
     res.json({
       macd,
       symbol,
-      fast_period: parseInt(fast),
-      slow_period: parseInt(slow),
-      signal_period: parseInt(signal)
+      fast_period: f,
+      slow_period: sl,
+      signal_period: sg
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendRouteError(res, error, { label: "Failed to calculate MACD" });
   }
 });
 
@@ -1195,14 +2747,9 @@ app.get("/api/support-resistance/:symbol", async (req, res) => {
     const { symbol } = req.params;
     const { days_back = 30 } = req.query;
 
-    const { dateStr } = await findLastTradingDayNY(parseInt(days_back, 10) + 1);
-    const data = await makePolygonRequest(
-      `/v2/aggs/ticker/${encodeURIComponent(symbol)}/range/1/day/${dateStr}/${dateStr}`,
-      { adjusted: true, sort: "desc", limit: parseInt(days_back) }
-    );
-
-    const prices = (data?.results || []).map(bar => bar.h);
-    const lows = (data?.results || []).map(bar => bar.l);
+    const bars = await fetchBarsForLookback(symbol, DAILY_TF, parseInt(days_back, 10) || 30);
+    const prices = bars.map(bar => bar.h);
+    const lows = bars.map(bar => bar.l);
 
     if (prices.length === 0) {
       return res.json({ support: null, resistance: null, symbol });
@@ -1219,7 +2766,7 @@ app.get("/api/support-resistance/:symbol", async (req, res) => {
       data_points: prices.length
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendRouteError(res, error, { label: "Failed to calculate support/resistance" });
   }
 });
 
@@ -1232,12 +2779,8 @@ app.get("/api/ema9/:symbol", async (req, res) => {
     // Try daily data first
     let prices = [];
     try {
-      const { dateStr } = await findLastTradingDayNY(parseInt(days_back, 10) + 1);
-      const data = await makePolygonRequest(
-        `/v2/aggs/ticker/${encodeURIComponent(symbol)}/range/1/day/${dateStr}/${dateStr}`,
-        { adjusted: true, sort: "desc", limit: parseInt(days_back) }
-      );
-      prices = (data?.results || []).map(bar => bar.c).reverse();
+      const bars = await fetchBarsForLookback(symbol, DAILY_TF, parseInt(days_back, 10) || 30);
+      prices = bars.map(bar => bar.c);
     } catch (_) { }
 
     // If daily data insufficient, try minute data for today
@@ -1268,7 +2811,7 @@ app.get("/api/ema9/:symbol", async (req, res) => {
       data_source: prices.length > 100 ? "minute" : "daily"
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendRouteError(res, error, { label: "Failed to calculate EMA9" });
   }
 });
 
@@ -1281,12 +2824,8 @@ app.get("/api/ema21/:symbol", async (req, res) => {
     // Try daily data first
     let prices = [];
     try {
-      const { dateStr } = await findLastTradingDayNY(parseInt(days_back, 10) + 1);
-      const data = await makePolygonRequest(
-        `/v2/aggs/ticker/${encodeURIComponent(symbol)}/range/1/day/${dateStr}/${dateStr}`,
-        { adjusted: true, sort: "desc", limit: parseInt(days_back) }
-      );
-      prices = (data?.results || []).map(bar => bar.c).reverse();
+      const bars = await fetchBarsForLookback(symbol, DAILY_TF, parseInt(days_back, 10) || 60);
+      prices = bars.map(bar => bar.c);
     } catch (_) { }
 
     // If daily data insufficient, try minute data for today
@@ -1317,7 +2856,7 @@ app.get("/api/ema21/:symbol", async (req, res) => {
       data_source: prices.length > 100 ? "minute" : "daily"
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendRouteError(res, error, { label: "Failed to calculate EMA21" });
   }
 });
 
@@ -1330,12 +2869,8 @@ app.get("/api/ema-trend/:symbol", async (req, res) => {
     // Try daily data first
     let prices = [];
     try {
-      const { dateStr } = await findLastTradingDayNY(parseInt(days_back, 10) + 1);
-      const data = await makePolygonRequest(
-        `/v2/aggs/ticker/${encodeURIComponent(symbol)}/range/1/day/${dateStr}/${dateStr}`,
-        { adjusted: true, sort: "desc", limit: parseInt(days_back) }
-      );
-      prices = (data?.results || []).map(bar => bar.c).reverse();
+      const bars = await fetchBarsForLookback(symbol, DAILY_TF, parseInt(days_back, 10) || 60);
+      prices = bars.map(bar => bar.c);
     } catch (_) { }
 
     // If daily data insufficient, try minute data for today
@@ -1393,7 +2928,7 @@ app.get("/api/ema-trend/:symbol", async (req, res) => {
       data_source: prices.length > 100 ? "minute" : "daily"
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendRouteError(res, error, { label: "Failed to calculate EMA trend" });
   }
 });
 
@@ -1403,22 +2938,19 @@ app.get("/api/ema-crossover/:symbol", async (req, res) => {
     const { symbol } = req.params;
     const { days_back = 30 } = req.query;
 
-    const { dateStr } = await findLastTradingDayNY(parseInt(days_back, 10) + 1);
-    const data = await makePolygonRequest(
-      `/v2/aggs/ticker/${encodeURIComponent(symbol)}/range/1/day/${dateStr}/${dateStr}`,
-      { adjusted: true, sort: "desc", limit: parseInt(days_back) }
-    );
-
-    const prices = (data?.results || []).map(bar => bar.c).reverse();
-    if (prices.length < 21) {
+    const bars = await fetchBarsForLookback(symbol, DAILY_TF, parseInt(days_back, 10) || 30);
+    const prices = bars.map(bar => bar.c);
+    if (prices.length < 22) {
       return res.json({ error: "Insufficient data for crossover analysis" });
     }
 
-    // Calculate EMAs for multiple periods to detect crossovers
+    // EMA series once, then compare bar by bar from the first index where both exist
+    const ema9s = emaSeries(prices, 9);
+    const ema21s = emaSeries(prices, 21);
     const emaValues = [];
-    for (let i = 9; i < prices.length; i++) {
-      const ema9 = calculateEMA(prices.slice(0, i + 1), 9);
-      const ema21 = calculateEMA(prices.slice(0, i + 1), 21);
+    for (let i = 20; i < prices.length; i++) {
+      const ema9 = ema9s[i];
+      const ema21 = ema21s[i];
       emaValues.push({
         date: i,
         ema9: parseFloat(ema9.toFixed(4)),
@@ -1455,99 +2987,375 @@ app.get("/api/ema-crossover/:symbol", async (req, res) => {
       data_points: prices.length
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendRouteError(res, error, { label: "Failed to calculate EMA crossover" });
   }
 });
 
-// Helper function for RSI calculation
-function calculateRSI(prices, period) {
-  if (prices.length < period + 1) return null;
+// Any combination of indicators in one call: ?set=rsi14,ema9,macd&timespan=5minute&limit=100
+app.get("/api/indicators/:symbol", async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const tf = parseTimespan(req.query.timespan);
+    if (!tf) {
+      return res.status(400).json({ error: "Invalid timespan", message: "Use e.g. 1minute, 5minute, 1hour, 1day, 1week" });
+    }
+    let specs;
+    try {
+      specs = parseIndicatorSet(req.query.set);
+    } catch (e) {
+      return res.status(400).json({ error: "Invalid indicator set", message: e.message });
+    }
+    const points = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 100));
 
-  let gains = 0, losses = 0;
-  for (let i = 1; i <= period; i++) {
-    const change = prices[i] - prices[i - 1];
-    if (change > 0) gains += change;
-    else losses -= change;
+    const bars = await fetchBarsForLookback(symbol, tf, points + indicatorWarmup(specs, tf));
+    const out = computeIndicators(bars, specs, points);
+    res.json({
+      symbol: String(symbol).toUpperCase(),
+      timespan: tf.label,
+      bars_used: bars.length,
+      points: out.t.length,
+      t: out.t,
+      close: bars.slice(-out.t.length).map(b => b.c),
+      indicators: out.indicators,
+    });
+  } catch (e) {
+    sendRouteError(res, e, { label: "Failed to compute indicators" });
   }
+});
 
-  const avgGain = gains / period;
-  const avgLoss = losses / period;
-  const rs = avgGain / avgLoss;
-  return 100 - (100 / (1 + rs));
-}
+// Batch indicators: {tickers:[...], set:"rsi14,ema9" | [...], timespan:"5minute", limit:1}.
+// Each ticker's bars are fetched once at the longest warm-up the set needs.
+const INDICATOR_BATCH_MAX = parseInt(process.env.INDICATOR_BATCH_MAX, 10) || 300;
+const INDICATOR_BATCH_CONCURRENCY = parseInt(process.env.INDICATOR_BATCH_CONCURRENCY, 10) || 8;
+app.post("/api/indicators/batch", async (req, res) => {
+  try {
+    const body = req.body || {};
+    const tf = parseTimespan(body.timespan);
+    if (!tf) {
+      return res.status(400).json({ error: "Invalid timespan", message: "Use e.g. 1minute, 5minute, 1hour, 1day, 1week" });
+    }
+    let specs;
+    try {
+      specs = parseIndicatorSet(Array.isArray(body.set) ? body.set.join(",") : body.set);
+    } catch (e) {
+      return res.status(400).json({ error: "Invalid indicator set", message: e.message });
+    }
+    const inTickers = Array.isArray(body.tickers) ? body.tickers : [];
+    const normalized = inTickers.map(t => String(t || "").trim().toUpperCase());
+    const tickers = Array.from(new Set(normalized.filter(t => validTicker(t))));
+    const invalid = normalized.filter(t => !validTicker(t));
+    if (tickers.length > INDICATOR_BATCH_MAX) {
+      return res.status(400).json({ error: "Too many tickers", max: INDICATOR_BATCH_MAX, received: tickers.length });
+    }
+    const points = Math.min(500, Math.max(1, parseInt(body.limit, 10) || 1));
+    const barsNeeded = points + indicatorWarmup(specs, tf);
 
-// Helper function for MACD calculation
-function calculateMACD(prices, fastPeriod, slowPeriod, signalPeriod) {
-  if (prices.length < Math.max(fastPeriod, slowPeriod, signalPeriod)) return null;
+    const workerLimit = INDICATOR_BATCH_CONCURRENCY;
+    const results = await limitedMap(tickers, workerLimit, async (ticker) => {
+      try {
+        const bars = await fetchBarsForLookback(ticker, tf, barsNeeded);
+        const out = computeIndicators(bars, specs, points);
+        return { ticker, bars_used: bars.length, t: out.t, close: bars.slice(-out.t.length).map(b => b.c), indicators: out.indicators };
+      } catch (e) {
+        return { ticker, error: String(e?.message || e) };
+      }
+    });
 
-  // Calculate EMAs
-  const fastEMA = calculateEMA(prices, fastPeriod);
-  const slowEMA = calculateEMA(prices, slowPeriod);
+    res.json({
+      timespan: tf.label,
+      set: specs.map(s => s.key),
+      results,
+      meta: {
+        requested: inTickers.length,
+        computed: results.filter(r => r && !r.error).length,
+        failed: results.filter(r => r && r.error).length,
+        invalid,
+        worker_limit: workerLimit,
+        bars_per_ticker: barsNeeded,
+      }
+    });
+  } catch (error) {
+    sendRouteError(res, error, { label: "Failed to calculate indicators" });
+  }
+});
 
-  // Calculate MACD line
-  const macdLine = fastEMA - slowEMA;
+// ---------- Indicator engine ----------
+// Shared by the per-indicator routes and /api/indicators. Series are aligned to the input bars
+// (null until an indicator has enough history). EMAs are seeded with the SMA of the first
+// `period` values; RSI and ATR use Wilder smoothing.
+const INDICATOR_MAX_BARS = 5000;
+const DAILY_TF = { multiplier: 1, timespan: "day", label: "1day" };
+
+// "5minute" -> { multiplier: 5, timespan: "minute" }; bare "day" means 1day.
+function parseTimespan(raw, fallback = "1day") {
+  const m = /^(\d{0,3})(minute|hour|day|week|month)$/i.exec(String(raw || fallback).trim());
+  if (!m) return null;
+  const multiplier = Math.max(1, parseInt(m[1] || "1", 10));
+  return { multiplier, timespan: m[2].toLowerCase(), label: `${multiplier}${m[2].toLowerCase()}` };
+}
 
-  // Calculate signal line (EMA of MACD line)
-  const macdValues = [];
-  for (let i = 0; i < prices.length; i++) {
-    const fastEMA_i = calculateEMA(prices.slice(0, i + 1), fastPeriod);
-    const slowEMA_i = calculateEMA(prices.slice(0, i + 1), slowPeriod);
-    macdValues.push(fastEMA_i - slowEMA_i);
+// Calendar days needed to cover `bars` bars (weekends, holidays and extended hours included).
+function lookbackDaysFor({ multiplier, timespan }, bars) {
+  const units = bars * multiplier;
+  switch (timespan) {
+    case "minute": return Math.ceil((units / 960) * 1.6) + 4;   // 04:00–20:00 = 960 min/day
+    case "hour": return Math.ceil((units / 16) * 1.6) + 4;
+    case "day": return Math.ceil(units * 1.5) + 10;
+    case "week": return units * 7 + 14;
+    default: return units * 31 + 62;                            // month
   }
+}
 
-  const signalLine = calculateEMA(macdValues, signalPeriod);
-  const histogram = macdLine - signalLine;
-
-  return {
-    macd_line: parseFloat(macdLine.toFixed(4)),
-    signal_line: parseFloat(signalLine.toFixed(4)),
-    histogram: parseFloat(histogram.toFixed(4))
-  };
+// Last `bars` aggregates ending today (ascending).
+async function fetchBarsForLookback(symbol, tf, bars) {
+  const want = Math.min(INDICATOR_MAX_BARS, Math.max(1, bars));
+  const to = ymdNY();
+  const from = ymdNY(addDays(new Date(), -lookbackDaysFor(tf, want)));
+  const data = await makePolygonRequest(
+    `/v2/aggs/ticker/${encodeURIComponent(symbol)}/range/${tf.multiplier}/${tf.timespan}/${from}/${to}`,
+    { adjusted: true, sort: "asc", limit: 50000 }
+  );
+  const rows = (data?.results || []).filter(b => b && typeof b.c === "number");
+  return rows.slice(-want);
 }
 
-// Helper function for EMA calculation
-function calculateEMA(prices, period) {
-  if (prices.length === 0) return 0;
+function smaSeries(values, period) {
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) out[i] = sum / period;
+  }
+  return out;
+}
 
-  const multiplier = 2 / (period + 1);
-  let ema = prices[0];
+// Nulls at the start of `values` are skipped (lets MACD feed its own series back in).
+function emaSeries(values, period) {
+  const out = new Array(values.length).fill(null);
+  const k = 2 / (period + 1);
+  const start = values.findIndex(v => v != null);
+  if (start < 0 || values.length - start < period) return out;
+  let ema = 0;
+  for (let i = start; i < start + period; i++) ema += values[i];
+  ema /= period;
+  out[start + period - 1] = ema;
+  for (let i = start + period; i < values.length; i++) {
+    ema = values[i] * k + ema * (1 - k);
+    out[i] = ema;
+  }
+  return out;
+}
 
-  for (let i = 1; i < prices.length; i++) {
-    ema = (prices[i] * multiplier) + (ema * (1 - multiplier));
+function rsiSeries(closes, period = 14) {
+  const out = new Array(closes.length).fill(null);
+  if (closes.length <= period) return out;
+  let gain = 0, loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const ch = closes[i] - closes[i - 1];
+    if (ch > 0) gain += ch; else loss -= ch;
   }
+  gain /= period;
+  loss /= period;
+  const rsi = () => (loss === 0 ? (gain === 0 ? 50 : 100) : 100 - 100 / (1 + gain / loss));
+  out[period] = rsi();
+  for (let i = period + 1; i < closes.length; i++) {
+    const ch = closes[i] - closes[i - 1];
+    gain = (gain * (period - 1) + Math.max(ch, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-ch, 0)) / period;
+    out[i] = rsi();
+  }
+  return out;
+}
 
-  return ema;
+function macdSeries(closes, fast = 12, slow = 26, signal = 9) {
+  const f = emaSeries(closes, fast);
+  const s = emaSeries(closes, slow);
+  const macd = closes.map((_, i) => (f[i] != null && s[i] != null ? f[i] - s[i] : null));
+  const sig = emaSeries(macd, signal);
+  const histogram = macd.map((m, i) => (m != null && sig[i] != null ? m - sig[i] : null));
+  return { macd, signal: sig, histogram };
 }
 
-// Full symbol snapshot passthrough
-app.get("/symbol/:symbol", async (req, res) => {
-  try {
-    const { symbol } = req.params;
-    const data = await makePolygonRequest(
-      `/v2/snapshot/locale/us/markets/stocks/tickers/${encodeURIComponent(symbol)}`
-    );
-    res.json(data);
-  } catch (e) {
-    sendRouteError(res, e, { label: "Failed to fetch symbol snapshot" });
+function atrSeries(bars, period = 14) {
+  const out = new Array(bars.length).fill(null);
+  if (bars.length <= period) return out;
+  const tr = bars.map((b, i) => (i === 0
+    ? b.h - b.l
+    : Math.max(b.h - b.l, Math.abs(b.h - bars[i - 1].c), Math.abs(b.l - bars[i - 1].c))));
+  let atr = 0;
+  for (let i = 1; i <= period; i++) atr += tr[i];
+  atr /= period;
+  out[period] = atr;
+  for (let i = period + 1; i < bars.length; i++) {
+    atr = (atr * (period - 1) + tr[i]) / period;
+    out[i] = atr;
   }
-});
+  return out;
+}
 
-// ----- Gainers (prefer intraday snapshots, fallback to grouped previous day) -----
-app.get("/gainers", async (req, res) => {
-  try {
-    const limit = parseInt(req.query.limit || "50", 10);
-    const includeFund = /fund|all/i.test(String(req.query.include || ""));
+function bollingerSeries(closes, period = 20, mult = 2) {
+  const middle = smaSeries(closes, period);
+  const upper = new Array(closes.length).fill(null);
+  const lower = new Array(closes.length).fill(null);
+  for (let i = period - 1; i < closes.length; i++) {
+    let v = 0;
+    for (let j = i - period + 1; j <= i; j++) v += (closes[j] - middle[i]) ** 2;
+    const sd = Math.sqrt(v / period);
+    upper[i] = middle[i] + mult * sd;
+    lower[i] = middle[i] - mult * sd;
+  }
+  return { middle, upper, lower };
+}
 
-    let data;
-    try {
-      data = await computeSnapshotGainers(limit);   // intraday (live-ish)
-    } catch (_) {
-      data = await computeGainers(limit);           // fallback
+// Session VWAP re-anchored on each NY trading date (bar vw when present, else typical
+// price). On daily or longer bars this is just each bar's own VWAP.
+function vwapSeries(bars) {
+  const out = new Array(bars.length).fill(null);
+  let pv = 0, vol = 0, curDate = null;
+  const dateByHour = new Map(); // NY offsets are whole hours, so one date lookup per hour suffices
+  for (let i = 0; i < bars.length; i++) {
+    const b = bars[i];
+    const hour = Math.floor(b.t / 3600000);
+    if (!dateByHour.has(hour)) dateByHour.set(hour, ymdNY(new Date(b.t)));
+    const date = dateByHour.get(hour);
+    if (date !== curDate) {
+      pv = 0;
+      vol = 0;
+      curDate = date;
     }
+    const v = typeof b.v === "number" ? b.v : 0;
+    const px = typeof b.vw === "number" && b.vw > 0 ? b.vw : (b.h + b.l + b.c) / 3;
+    pv += px * v;
+    vol += v;
+    out[i] = vol > 0 ? pv / vol : null;
+  }
+  return out;
+}
 
-    const rows = data.results;
+function stochasticSeries(bars, kPeriod = 14, dPeriod = 3) {
+  const k = new Array(bars.length).fill(null);
+  for (let i = kPeriod - 1; i < bars.length; i++) {
+    let hi = -Infinity, lo = Infinity;
+    for (let j = i - kPeriod + 1; j <= i; j++) { hi = Math.max(hi, bars[j].h); lo = Math.min(lo, bars[j].l); }
+    k[i] = hi === lo ? 50 : ((bars[i].c - lo) / (hi - lo)) * 100;
+  }
+  const firstK = kPeriod - 1;
+  const d = new Array(bars.length).fill(null);
+  const tail = smaSeries(k.slice(firstK), dPeriod);
+  for (let i = 0; i < tail.length; i++) d[firstK + i] = tail[i];
+  return { k, d };
+}
 
-    if (includeFund && rows.length) {
+// "rsi14", "ema9", "sma20", "macd" / "macd12_26_9", "atr14", "bb20" / "bb20_2", "stoch14_3"
+const INDICATOR_DEFS = {
+  rsi: { defaults: [14], warmup: ([p]) => p * 5, compute: (bars, closes, [p]) => ({ value: rsiSeries(closes, p) }) },
+  ema: { defaults: [9], warmup: ([p]) => p * 4, compute: (bars, closes, [p]) => ({ value: emaSeries(closes, p) }) },
+  sma: { defaults: [20], warmup: ([p]) => p, compute: (bars, closes, [p]) => ({ value: smaSeries(closes, p) }) },
+  macd: { defaults: [12, 26, 9], warmup: ([, s, g]) => s * 3 + g, compute: (bars, closes, [f, s, g]) => macdSeries(closes, f, s, g) },
+  atr: { defaults: [14], warmup: ([p]) => p * 5, compute: (bars, closes, [p]) => ({ value: atrSeries(bars, p) }) },
+  bb: { defaults: [20, 2], warmup: ([p]) => p, compute: (bars, closes, [p, m]) => bollingerSeries(closes, p, m) },
+  stoch: { defaults: [14, 3], warmup: ([k, d]) => k + d, compute: (bars, closes, [k, d]) => stochasticSeries(bars, k, d) },
+  // Intraday VWAP needs the whole session behind the first returned point.
+  vwap: { defaults: [], warmup: (_, tf) => (tf.timespan === "minute" ? Math.ceil(960 / tf.multiplier) : tf.timespan === "hour" ? 16 : 0), compute: (bars) => ({ value: vwapSeries(bars) }) },
+};
+
+function parseIndicatorSet(raw) {
+  const specs = [];
+  for (const token of String(raw || "").split(",").map(t => t.trim().toLowerCase()).filter(Boolean)) {
+    const m = /^([a-z]+)((?:\d+(?:\.\d+)?)(?:_\d+(?:\.\d+)?)*)?$/.exec(token);
+    const def = m && INDICATOR_DEFS[m[1]];
+    if (!def) throw new Error(`Unknown indicator: ${token}`);
+    const given = m[2] ? m[2].split("_").map(Number) : [];
+    const params = def.defaults.map((d, i) => (given[i] > 0 ? given[i] : d));
+    if (params.some((p, i) => (i === 0 || m[1] !== "bb") && (!Number.isInteger(p) || p > 500))) {
+      throw new Error(`Invalid parameters for ${token}`);
+    }
+    specs.push({ key: token, name: m[1], params, def });
+  }
+  if (!specs.length) throw new Error("set is required (e.g. set=rsi14,ema9,macd)");
+  return specs;
+}
+
+function indicatorWarmup(specs, tf) {
+  return specs.reduce((mx, s) => Math.max(mx, s.def.warmup(s.params, tf)), 0);
+}
+
+const round4 = (v) => (v == null || !Number.isFinite(v) ? null : +v.toFixed(4));
+
+// Compute every spec over `bars`, returning the last `points` values of each series.
+function computeIndicators(bars, specs, points) {
+  const closes = bars.map(b => b.c);
+  const from = Math.max(0, bars.length - points);
+  const indicators = {};
+  for (const spec of specs) {
+    const series = spec.def.compute(bars, closes, spec.params);
+    const entry = { params: spec.params };
+    const last = {};
+    for (const [name, arr] of Object.entries(series)) {
+      entry[name] = arr.slice(from).map(round4);
+      last[name] = round4(arr[arr.length - 1]);
+    }
+    entry.last = "value" in last ? last.value : last;
+    indicators[spec.key] = entry;
+  }
+  return { t: bars.slice(from).map(b => b.t), indicators };
+}
+
+// Last value helpers kept for the single-indicator routes.
+function calculateRSI(prices, period) {
+  const s = rsiSeries(prices, period);
+  return s[s.length - 1] ?? null;
+}
+
+function calculateMACD(prices, fastPeriod, slowPeriod, signalPeriod) {
+  const { macd, signal, histogram } = macdSeries(prices, fastPeriod, slowPeriod, signalPeriod);
+  const i = prices.length - 1;
+  if (i < 0 || signal[i] == null) return null;
+  return {
+    macd_line: parseFloat(macd[i].toFixed(4)),
+    signal_line: parseFloat(signal[i].toFixed(4)),
+    histogram: parseFloat(histogram[i].toFixed(4))
+  };
+}
+
+function calculateEMA(prices, period) {
+  const s = emaSeries(prices, period);
+  return s[s.length - 1] ?? null;
+}
+
+// Full symbol snapshot passthrough
+app.get("/symbol/:symbol", async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const data = await makePolygonRequest(...tickerSnapshotRequest(symbol));
+    res.json(data);
+  } catch (e) {
+    sendRouteError(res, e, { label: "Failed to fetch symbol snapshot" });
+  }
+});
+
+// ----- Gainers (prefer intraday snapshots, fallback to grouped previous day) -----
+app.get("/gainers", async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit || "50", 10);
+    const cluster = parseCluster(req.query.cluster);
+    if (!GAINERS_CLUSTERS.includes(cluster)) {
+      return res.status(400).json({ error: "Invalid cluster", allowed: GAINERS_CLUSTERS });
+    }
+    const includeFund = cluster === "stocks" && /fund|all/i.test(String(req.query.include || ""));
+
+    let data;
+    try {
+      data = await computeSnapshotGainers(limit, cluster);   // intraday (live-ish)
+    } catch (e) {
+      if (cluster !== "stocks") throw e;
+      data = await computeGainers(limit);                    // fallback (grouped daily bars are stocks-only)
+    }
+
+    const rows = data.results;
+
+    if (includeFund && rows.length) {
       await limitedMap(rows, 6, async (row) => {
         const f = await getTickerOverview(row.ticker);
         Object.assign(row, {
@@ -1559,7 +3367,7 @@ app.get("/gainers", async (req, res) => {
       });
     }
 
-    res.json({ date: data.date, source: data.source, results: rows });
+    res.json({ date: data.date, source: data.source, cluster, results: rows });
   } catch (e) {
     sendRouteError(res, e, { label: "Failed to fetch gainers" });
   }
@@ -1580,12 +3388,17 @@ app.get("/most_active", async (req, res) => {
 app.get("/market/top-gainers", async (req, res) => {
   try {
     const limit = parseInt(req.query.limit || "50", 10);
-    const includeFund = /fund|all/i.test(String(req.query.include || ""));
+    const cluster = parseCluster(req.query.cluster);
+    if (!GAINERS_CLUSTERS.includes(cluster)) {
+      return res.status(400).json({ error: "Invalid cluster", allowed: GAINERS_CLUSTERS });
+    }
+    const includeFund = cluster === "stocks" && /fund|all/i.test(String(req.query.include || ""));
 
     let data;
     try {
-      data = await computeSnapshotGainers(limit);
-    } catch (_) {
+      data = await computeSnapshotGainers(limit, cluster);
+    } catch (e) {
+      if (cluster !== "stocks") throw e;
       data = await computeGainers(limit);
     }
 
@@ -1603,7 +3416,7 @@ app.get("/market/top-gainers", async (req, res) => {
       });
     }
 
-    res.json({ date: data.date, source: data.source, results: rows });
+    res.json({ date: data.date, source: data.source, cluster, results: rows });
   } catch (e) {
     sendRouteError(res, e, { label: "Failed to fetch gainers" });
   }
@@ -1631,8 +3444,7 @@ app.get("/ohlcv/:symbol", async (req, res) => {
       end = to || from;
       start = from || end;
     } else {
-      const { dateStr } = await findLastTradingDayNY(5);
-      start = end = dateStr;
+      start = end = await latestSessionDate(symbol);
     }
 
     const data = await makePolygonRequest(
@@ -1683,7 +3495,7 @@ app.get("/price/:symbol", async (req, res) => {
 
     // Try the latest minute bar from the most recent trading day
     try {
-      const { dateStr } = await findLastTradingDayNY(5);
+      const dateStr = await latestSessionDate(symbol);
       const aggs = await makePolygonRequest(
         `/v2/aggs/ticker/${encodeURIComponent(symbol)}/range/1/minute/${dateStr}/${dateStr}`,
         { adjusted: true, sort: "desc", limit: 1 }
@@ -1693,13 +3505,7 @@ app.get("/price/:symbol", async (req, res) => {
 
     // Snapshot last trade fallback (handles after-hours / entitlement cases)
     if (price == null) {
-      const snap = await makePolygonRequest(
-        `/v2/snapshot/locale/us/markets/stocks/tickers/${encodeURIComponent(symbol)}`
-      );
-      price = snap?.ticker?.lastTrade?.p
-        ?? snap?.results?.lastTrade?.p
-        ?? snap?.lastTrade?.p
-        ?? null;
+      price = snapshotLastPrice(await makePolygonRequest(...tickerSnapshotRequest(symbol)));
     }
 
     res.json({ symbol, price });
@@ -1764,7 +3570,7 @@ app.get("/quote/:symbol", async (req, res) => {
 
     // Try the latest minute bar from the most recent trading day
     try {
-      const { dateStr } = await findLastTradingDayNY(5);
+      const dateStr = await latestSessionDate(symbol);
       const aggs = await makePolygonRequest(
         `/v2/aggs/ticker/${encodeURIComponent(symbol)}/range/1/minute/${dateStr}/${dateStr}`,
         { adjusted: true, sort: "desc", limit: 1 }
@@ -1774,13 +3580,7 @@ app.get("/quote/:symbol", async (req, res) => {
 
     // Snapshot fallback
     if (price == null) {
-      const snap = await makePolygonRequest(
-        `/v2/snapshot/locale/us/markets/stocks/tickers/${encodeURIComponent(symbol)}`
-      );
-      price = snap?.ticker?.lastTrade?.p
-        ?? snap?.results?.lastTrade?.p
-        ?? snap?.lastTrade?.p
-        ?? null;
+      price = snapshotLastPrice(await makePolygonRequest(...tickerSnapshotRequest(symbol)));
     }
 
     // Previous close for change calc (optional but provided for parity)
@@ -1805,62 +3605,274 @@ app.get("/quote/:symbol", async (req, res) => {
 });
 
 // --- Shared Tickers (daily ticker sharing) ---
-const sharedTickers = new Map(); // symbol -> {symbol, addedAt, addedBy}
-let currentTradingDay = ymdNY();
+// Kept in STATE_STORE so every instance sees the same list: hash symbol -> entry, the trading day the list
+// belongs to, an archive hash (day -> {date, archivedAt, tickers}) and a capped audit list. Without Redis
+// they are also persisted so the watchlist survives restarts/redeploys: the current day's list in
+// SHARED_TICKERS_FILE (rewritten per change, it is small), archived days and audit events appended to
+// <file>.archive.jsonl / <file>.audit.jsonl. Production defaults to no file (container disks are
+// ephemeral): without REDIS_URL or an explicit, mounted SHARED_TICKERS_FILE the list lives in memory only.
+const SHARED_TICKERS_KEY = "shared-tickers";
+const SHARED_TICKERS_DAY_KEY = "shared-tickers:day";
+const SHARED_TICKERS_ARCHIVE_KEY = "shared-tickers:archive";
+const SHARED_TICKERS_AUDIT_KEY = "shared-tickers:audit";
+const SHARED_TICKERS_EVENTS_KEY = "shared-tickers:events"; // recent /ws/shared events, for other instances
+const SHARED_TICKERS_SEQ_KEY = "shared-tickers:seq";
+const SHARED_TICKERS_EVENTS_MAX = 500;
+const SHARED_TICKERS_FILE = process.env.SHARED_TICKERS_FILE ?? (STATE_STORE.shared || isProduction ? "" : "data/shared-tickers.json");
+if (isProduction && !STATE_STORE.shared && !SHARED_TICKERS_FILE) {
+  console.warn("⚠️  WARNING: shared tickers, their archive and audit log are kept IN MEMORY ONLY and are lost on every restart/redeploy.");
+  console.warn("⚠️  Set REDIS_URL (see .do/app.yaml / DEPLOYMENT.md) or SHARED_TICKERS_FILE on a persistent volume.");
+}
+const SHARED_TICKERS_ROLL_LOCK_MS = 60_000;
+const SHARED_TICKERS_ARCHIVE_FILE = SHARED_TICKERS_FILE && `${SHARED_TICKERS_FILE.replace(/\.json$/i, "")}.archive.jsonl`;
+const SHARED_TICKERS_AUDIT_FILE = SHARED_TICKERS_FILE && `${SHARED_TICKERS_FILE.replace(/\.json$/i, "")}.audit.jsonl`;
+const SHARED_TICKERS_ARCHIVE_DAYS = parseInt(process.env.SHARED_TICKERS_ARCHIVE_DAYS, 10) || 365;
+const SHARED_TICKERS_AUDIT_MAX = parseInt(process.env.SHARED_TICKERS_AUDIT_MAX, 10) || 10000;
+const SHARED_TICKERS_ROLL_MIN = 18 * 60; // the list rolls to the next trading day at 6:00 PM ET
+const SHARED_TICKER_MAX_TAGS = 10;
+
+// Trading day a list started now belongs to: today before 6 PM on a trading day, else the next trading day
+// (so a Friday-evening or weekend watchlist is Monday's).
+function sharedTickerDayNY(d = new Date()) {
+  const today = ymdNY(d);
+  if (isTradingDayNY(today) && minuteOfDayNY(d.getTime()) < SHARED_TICKERS_ROLL_MIN) return today;
+  return nextTradingDayNY(today, 1) || shiftYmd(today, 1);
+}
 
-// Helper to check if we're past trading day end (6:00 PM ET)
-function getNYTime() {
-  const now = new Date();
-  return new Date(now.toLocaleString("en-US", { timeZone: "America/New_York" }));
+// File writes run one at a time, in call order.
+let sharedTickersWrite = Promise.resolve();
+function queueSharedTickersWrite(fn) {
+  if (!SHARED_TICKERS_FILE) return Promise.resolve();
+  sharedTickersWrite = sharedTickersWrite
+    .then(fn)
+    .catch(e => console.error("Shared tickers persist failed:", e.message));
+  return sharedTickersWrite;
+}
+
+function persistSharedTickerList() {
+  return queueSharedTickersWrite(async () => {
+    const [day, tickers] = await Promise.all([
+      STATE_STORE.get(SHARED_TICKERS_DAY_KEY),
+      STATE_STORE.hgetall(SHARED_TICKERS_KEY),
+    ]);
+    await writeFileAtomic(SHARED_TICKERS_FILE, JSON.stringify({ version: 2, day, tickers }));
+  });
+}
+
+// Appends one archived day; `rewrite` (retention dropped days) replaces the file with the store's archive.
+function persistSharedTickerArchive(rec, rewrite) {
+  return queueSharedTickersWrite(async () => {
+    if (rewrite) await writeJsonLinesAtomic(SHARED_TICKERS_ARCHIVE_FILE, Object.values(await STATE_STORE.hgetall(SHARED_TICKERS_ARCHIVE_KEY)));
+    else if (rec) await appendJsonLine(SHARED_TICKERS_ARCHIVE_FILE, rec);
+  });
 }
 
-function isAfterMarketClose() {
-  const nyTime = getNYTime();
-  const hour = nyTime.getHours();
-  return hour >= 18; // 6:00 PM ET (18:00)
+// Appends one audit event; once the file holds twice SHARED_TICKERS_AUDIT_MAX lines it is compacted to the
+// events the store still keeps.
+let sharedTickersAuditLines = 0;
+function persistSharedTickerAudit(event) {
+  return queueSharedTickersWrite(async () => {
+    if (++sharedTickersAuditLines <= 2 * SHARED_TICKERS_AUDIT_MAX) return appendJsonLine(SHARED_TICKERS_AUDIT_FILE, event);
+    const events = await STATE_STORE.lrange(SHARED_TICKERS_AUDIT_KEY, 0, -1);
+    await writeJsonLinesAtomic(SHARED_TICKERS_AUDIT_FILE, events);
+    sharedTickersAuditLines = events.length;
+  });
 }
 
-// Clear shared tickers at end of trading day
+// Seed the store from the shared-ticker files at boot unless it already holds a list (e.g. Redis).
+// Version 1 snapshots kept archive and audit inline; they are moved to the .jsonl files on load.
+async function loadSharedTickersFile() {
+  if (!SHARED_TICKERS_FILE || await STATE_STORE.get(SHARED_TICKERS_DAY_KEY) != null) return;
+  const snap = await readJsonFile(SHARED_TICKERS_FILE, null);
+  const legacy = !!(snap?.archive || snap?.audit);
+  const archive = [...Object.values(snap?.archive || {}), ...await readJsonLines(SHARED_TICKERS_ARCHIVE_FILE)];
+  const auditFile = await readJsonLines(SHARED_TICKERS_AUDIT_FILE);
+  const audit = [...(Array.isArray(snap?.audit) ? snap.audit : []), ...auditFile].slice(-SHARED_TICKERS_AUDIT_MAX);
+  for (const [sym, entry] of Object.entries(snap?.tickers || {})) await STATE_STORE.hset(SHARED_TICKERS_KEY, sym, entry);
+  for (const rec of archive) if (rec?.date) await STATE_STORE.hset(SHARED_TICKERS_ARCHIVE_KEY, rec.date, rec);
+  for (const ev of audit) await STATE_STORE.rpush(SHARED_TICKERS_AUDIT_KEY, ev);
+  sharedTickersAuditLines = auditFile.length;
+  if (legacy) {
+    await queueSharedTickersWrite(async () => {
+      await writeJsonLinesAtomic(SHARED_TICKERS_ARCHIVE_FILE, Object.values(await STATE_STORE.hgetall(SHARED_TICKERS_ARCHIVE_KEY)));
+      await writeJsonLinesAtomic(SHARED_TICKERS_AUDIT_FILE, audit);
+      sharedTickersAuditLines = audit.length;
+    });
+  }
+  if (!snap?.day) return;
+  await STATE_STORE.set(SHARED_TICKERS_DAY_KEY, snap.day);
+  if (legacy) await persistSharedTickerList();
+  console.log(`Loaded ${Object.keys(snap.tickers || {}).length} shared ticker(s) for ${snap.day} from ${SHARED_TICKERS_FILE}`);
+}
+const sharedTickersLoaded = loadSharedTickersFile().catch(e => console.error("Shared tickers load failed:", e.message));
+
+async function appendSharedTickerAudit(event) {
+  const ev = { ts: new Date().toISOString(), ...event };
+  await STATE_STORE.rpush(SHARED_TICKERS_AUDIT_KEY, ev);
+  await STATE_STORE.ltrim(SHARED_TICKERS_AUDIT_KEY, -SHARED_TICKERS_AUDIT_MAX, -1);
+  await persistSharedTickerAudit(ev);
+}
+
+// Stamps a change with a store-wide sequence number and pushes it to /ws/shared clients. With a shared
+// store it is queued instead and every instance (this one included) fans it out from pollSharedTickers,
+// which keeps delivery in seq order.
+async function publishSharedTickerEvent(event) {
+  try {
+    const msg = { ...event, seq: await STATE_STORE.incr(SHARED_TICKERS_SEQ_KEY), ts: nowTs() };
+    if (STATE_STORE.shared) {
+      await STATE_STORE.rpush(SHARED_TICKERS_EVENTS_KEY, msg);
+      await STATE_STORE.ltrim(SHARED_TICKERS_EVENTS_KEY, -SHARED_TICKERS_EVENTS_MAX, -1);
+    } else {
+      broadcastSharedTickers(msg);
+    }
+  } catch (e) {
+    console.error("Shared ticker event failed:", e.message);
+  }
+}
+
+// Single-flight so concurrent requests (and the /ws/shared poll) archive a finished day only once; across
+// instances sharing Redis a SET NX lock on the new trading date lets one of them do it.
+let sharedTickersRoll = null;
 function checkTradingDayReset() {
-  const today = ymdNY();
-  if (today !== currentTradingDay || isAfterMarketClose()) {
-    sharedTickers.clear();
-    currentTradingDay = today;
-    console.log(`📅 Cleared shared tickers for new trading day: ${today}`);
+  if (!sharedTickersRoll) sharedTickersRoll = rollSharedTickersDay().finally(() => { sharedTickersRoll = null; });
+  return sharedTickersRoll;
+}
+
+// Archive the previous day's list when the trading day rolls over, then start an empty one.
+async function rollSharedTickersDay() {
+  await sharedTickersLoaded;
+  const day = sharedTickerDayNY();
+  let currentTradingDay = await STATE_STORE.get(SHARED_TICKERS_DAY_KEY);
+  if (currentTradingDay === day) return;
+  if (STATE_STORE.shared) {
+    const lockKey = `shared-tickers:roll:${day}`;
+    if (!(await STATE_STORE.setnx(lockKey, { pid: process.pid, at: nowTs() }, SHARED_TICKERS_ROLL_LOCK_MS))) {
+      // Another instance is rolling: give it a moment so callers see the new day, then carry on.
+      for (let i = 0; i < 50 && (await STATE_STORE.get(SHARED_TICKERS_DAY_KEY)) !== day; i++) await sleep(100);
+      return;
+    }
+    currentTradingDay = await STATE_STORE.get(SHARED_TICKERS_DAY_KEY);
+    if (currentTradingDay === day) return;
+  }
+  if (currentTradingDay != null) {
+    const tickers = Object.values(await STATE_STORE.hgetall(SHARED_TICKERS_KEY));
+    const archived = tickers.length ? { date: currentTradingDay, archivedAt: new Date().toISOString(), tickers } : null;
+    if (archived) {
+      await STATE_STORE.hset(SHARED_TICKERS_ARCHIVE_KEY, currentTradingDay, archived);
+      await appendSharedTickerAudit({ action: "archive", day: currentTradingDay, user: "system", count: tickers.length });
+    }
+    await STATE_STORE.del(SHARED_TICKERS_KEY);
+    const cutoff = shiftYmd(day, -SHARED_TICKERS_ARCHIVE_DAYS);
+    let pruned = 0;
+    for (const d of Object.keys(await STATE_STORE.hgetall(SHARED_TICKERS_ARCHIVE_KEY))) {
+      if (d < cutoff && await STATE_STORE.hdel(SHARED_TICKERS_ARCHIVE_KEY, d)) pruned += 1;
+    }
+    await persistSharedTickerArchive(archived, pruned > 0);
+    console.log(`📅 Archived ${tickers.length} shared ticker(s) for ${currentTradingDay}; new list for ${day}`);
+  }
+  await STATE_STORE.set(SHARED_TICKERS_DAY_KEY, day);
+  await persistSharedTickerList();
+  if (currentTradingDay != null) {
+    await publishSharedTickerEvent({ type: "reset", date: day, previousDate: currentTradingDay, user: "system" });
   }
 }
 
-// Helper to check if user is in developer mode (allowed: admin + joeyrooker06 / greenhorizontrading06)
-function isDeveloperMode(req) {
-  const userEmail = req.headers['x-user-email'] || '';
-  const email = userEmail.trim().toLowerCase();
-  return (
-    email === 'admin@example.com' ||
-    email === 'joeyrooker06@gmail.com' ||
-    email === 'greenhorizontrading06@gmail.com'
-  );
+async function listSharedTickers() {
+  await checkTradingDayReset();
+  const tickers = Object.values(await STATE_STORE.hgetall(SHARED_TICKERS_KEY))
+    .sort((a, b) => String(a.addedAt).localeCompare(String(b.addedAt)));
+  return { date: await STATE_STORE.get(SHARED_TICKERS_DAY_KEY), tickers };
+}
+
+// Validates the editable fields present in body; returns { fields } or { error }. null clears a field.
+function parseSharedTickerFields(body) {
+  const fields = {};
+  if (body.notes !== undefined) {
+    if (body.notes !== null && typeof body.notes !== "string") return { error: "notes must be a string" };
+    if (body.notes && body.notes.length > 2000) return { error: "notes must be at most 2000 characters" };
+    fields.notes = body.notes ? body.notes.trim() : null;
+  }
+  for (const k of ["entry", "stop", "target"]) {
+    if (body[k] === undefined) continue;
+    if (body[k] === null || body[k] === "") { fields[k] = null; continue; }
+    const n = Number(body[k]);
+    if (!Number.isFinite(n) || n <= 0) return { error: `${k} must be a positive number` };
+    fields[k] = n;
+  }
+  if (body.tags !== undefined) {
+    const raw = body.tags === null ? [] : Array.isArray(body.tags) ? body.tags : String(body.tags).split(",");
+    const tags = Array.from(new Set(raw.map(t => String(t).trim().toLowerCase()).filter(Boolean)));
+    if (tags.length > SHARED_TICKER_MAX_TAGS) return { error: `At most ${SHARED_TICKER_MAX_TAGS} tags` };
+    if (tags.some(t => !/^[a-z0-9_-]{1,32}$/.test(t))) return { error: "Tags are 1-32 chars of a-z, 0-9, _ or -" };
+    fields.tags = tags;
+  }
+  return { fields };
+}
+
+// { field: [before, after] } for fields whose value actually changed.
+function sharedTickerChanges(before, after) {
+  const changes = {};
+  for (const k of ["notes", "entry", "stop", "target", "tags"]) {
+    if (JSON.stringify(before?.[k] ?? null) !== JSON.stringify(after[k] ?? null)) changes[k] = [before?.[k] ?? null, after[k] ?? null];
+  }
+  return changes;
 }
 
 // GET /api/shared-tickers - Get all shared tickers
-app.get("/api/shared-tickers", (req, res) => {
+app.get("/api/shared-tickers", async (req, res) => {
   try {
-    checkTradingDayReset();
-    const tickers = Array.from(sharedTickers.values());
-    res.json({ success: true, tickers });
+    res.json({ success: true, ...await listSharedTickers() });
   } catch (e) {
     sendRouteError(res, e, { label: "Failed to fetch shared tickers" });
   }
 });
 
-// POST /api/shared-tickers - Add a shared ticker (developer mode only)
-app.post("/api/shared-tickers", (req, res) => {
+// GET /api/shared-tickers/archive - Past days: ?date=YYYY-MM-DD for one day, ?from=&to= for a range,
+// neither for a {date, count} index (newest first).
+app.get("/api/shared-tickers/archive", async (req, res) => {
   try {
-    checkTradingDayReset();
-
-    // Check if user is in developer mode
-    if (!isDeveloperMode(req)) {
-      return res.status(403).json({ error: "Only developer mode can add shared tickers" });
+    await checkTradingDayReset();
+    const ymdRe = /^\d{4}-\d{2}-\d{2}$/;
+    const { date, from, to } = req.query;
+    for (const [k, v] of Object.entries({ date, from, to })) {
+      if (v != null && !ymdRe.test(String(v))) return res.status(400).json({ error: `Invalid ${k}`, message: "Use YYYY-MM-DD" });
     }
+    if (date) {
+      const day = await STATE_STORE.hget(SHARED_TICKERS_ARCHIVE_KEY, String(date));
+      if (!day) return res.status(404).json({ error: "No archived shared tickers for date", date });
+      return res.json({ success: true, ...day });
+    }
+    const days = Object.values(await STATE_STORE.hgetall(SHARED_TICKERS_ARCHIVE_KEY))
+      .filter(d => (!from || d.date >= from) && (!to || d.date <= to))
+      .sort((a, b) => b.date.localeCompare(a.date));
+    if (from || to) return res.json({ success: true, days });
+    res.json({ success: true, days: days.map(d => ({ date: d.date, count: d.tickers.length, archivedAt: d.archivedAt })) });
+  } catch (e) {
+    sendRouteError(res, e, { label: "Failed to fetch shared ticker archive" });
+  }
+});
+
+// GET /api/shared-tickers/audit - Who added/updated/removed what (?date=, ?symbol=, ?user=, ?limit=, newest first)
+app.get("/api/shared-tickers/audit", async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const symbol = req.query.symbol ? String(req.query.symbol).toUpperCase() : null;
+    const date = req.query.date ? String(req.query.date) : null;
+    const user = req.query.user ? String(req.query.user) : null;
+    const events = (await STATE_STORE.lrange(SHARED_TICKERS_AUDIT_KEY, 0, -1))
+      .filter(ev => (!symbol || ev.symbol === symbol) && (!date || ev.day === date) && (!user || ev.user === user))
+      .reverse()
+      .slice(0, limit);
+    res.json({ success: true, events });
+  } catch (e) {
+    sendRouteError(res, e, { label: "Failed to fetch shared ticker audit log" });
+  }
+});
+
+// POST /api/shared-tickers - Add a shared ticker (developer role); re-adding updates the given fields
+app.post("/api/shared-tickers", requireRole("developer"), async (req, res) => {
+  try {
+    await checkTradingDayReset();
 
     const { symbol } = req.body;
     if (!symbol) {
@@ -1870,30 +3882,148 @@ app.post("/api/shared-tickers", (req, res) => {
     if (!validTicker(ticker)) {
       return res.status(400).json({ error: "Invalid symbol", ticker });
     }
-    sharedTickers.set(ticker, {
-      symbol: ticker,
-      addedAt: new Date().toISOString(),
-      addedBy: req.headers['x-user-email'] || 'unknown'
-    });
-    res.json({ success: true, ticker: sharedTickers.get(ticker) });
+    const { fields, error } = parseSharedTickerFields(req.body);
+    if (error) return res.status(400).json({ error });
+    const day = await STATE_STORE.get(SHARED_TICKERS_DAY_KEY);
+    const existing = await STATE_STORE.hget(SHARED_TICKERS_KEY, ticker);
+    const now = new Date().toISOString();
+    const entry = existing
+      ? { ...existing, ...fields, updatedAt: now, updatedBy: req.auth.user }
+      : {
+        symbol: ticker,
+        addedAt: now,
+        addedBy: req.auth.user,
+        updatedAt: null,
+        updatedBy: null,
+        notes: null,
+        entry: null,
+        stop: null,
+        target: null,
+        tags: [],
+        ...fields
+      };
+    await STATE_STORE.hset(SHARED_TICKERS_KEY, ticker, entry);
+    const changes = existing ? sharedTickerChanges(existing, entry) : null;
+    await appendSharedTickerAudit(existing
+      ? { action: "update", day, symbol: ticker, user: req.auth.user, changes }
+      : { action: "add", day, symbol: ticker, user: req.auth.user, fields });
+    await persistSharedTickerList();
+    await publishSharedTickerEvent(existing
+      ? { type: "update", date: day, ticker: entry, changes, user: req.auth.user }
+      : { type: "add", date: day, ticker: entry, user: req.auth.user });
+    res.status(existing ? 200 : 201).json({ success: true, ticker: entry });
   } catch (e) {
     sendRouteError(res, e, { label: "Failed to add shared ticker" });
   }
 });
 
-// DELETE /api/shared-tickers/:symbol - Remove a shared ticker
-app.delete("/api/shared-tickers/:symbol", (req, res) => {
+// PATCH /api/shared-tickers/:symbol - Update notes / entry / stop / target / tags (developer role)
+app.patch("/api/shared-tickers/:symbol", requireRole("developer"), async (req, res) => {
+  try {
+    await checkTradingDayReset();
+    const ticker = req.params.symbol.toUpperCase().trim();
+    const existing = await STATE_STORE.hget(SHARED_TICKERS_KEY, ticker);
+    if (!existing) return res.status(404).json({ error: "Ticker not found", ticker });
+    const { fields, error } = parseSharedTickerFields(req.body || {});
+    if (error) return res.status(400).json({ error });
+    if (!Object.keys(fields).length) {
+      return res.status(400).json({ error: "Nothing to update", fields: ["notes", "entry", "stop", "target", "tags"] });
+    }
+    const entry = { ...existing, ...fields, updatedAt: new Date().toISOString(), updatedBy: req.auth.user };
+    const day = await STATE_STORE.get(SHARED_TICKERS_DAY_KEY);
+    const changes = sharedTickerChanges(existing, entry);
+    await STATE_STORE.hset(SHARED_TICKERS_KEY, ticker, entry);
+    await appendSharedTickerAudit({ action: "update", day, symbol: ticker, user: req.auth.user, changes });
+    await persistSharedTickerList();
+    await publishSharedTickerEvent({ type: "update", date: day, ticker: entry, changes, user: req.auth.user });
+    res.json({ success: true, ticker: entry });
+  } catch (e) {
+    sendRouteError(res, e, { label: "Failed to update shared ticker" });
+  }
+});
+
+// DELETE /api/shared-tickers/:symbol - Remove a shared ticker (developer role)
+app.delete("/api/shared-tickers/:symbol", requireRole("developer"), async (req, res) => {
   try {
-    checkTradingDayReset();
+    await checkTradingDayReset();
     const { symbol } = req.params;
     const ticker = symbol.toUpperCase().trim();
-    if (sharedTickers.delete(ticker)) {
+    const existing = await STATE_STORE.hget(SHARED_TICKERS_KEY, ticker);
+    if (existing && await STATE_STORE.hdel(SHARED_TICKERS_KEY, ticker)) {
+      const day = await STATE_STORE.get(SHARED_TICKERS_DAY_KEY);
+      await appendSharedTickerAudit({ action: "remove", day, symbol: ticker, user: req.auth.user, entry: existing });
+      await persistSharedTickerList();
+      await publishSharedTickerEvent({ type: "remove", date: day, symbol: ticker, user: req.auth.user });
       res.json({ success: true, message: `Removed ${ticker}` });
     } else {
       res.status(404).json({ error: "Ticker not found" });
     }
   } catch (e) {
-    res.status(500).json({ error: "Failed to remove shared ticker", message: String(e.message || e) });
+    sendRouteError(res, e, { label: "Failed to remove shared ticker" });
+  }
+});
+
+// ----- WebSocket tickets -----
+// base64url(JSON payload) + "." + base64url(HMAC-SHA256). Single use is enforced through STATE_STORE
+// (first incr of the ticket id wins), so with several instances WS_TICKET_SECRET must be shared.
+const WS_TICKET_SECRET = process.env.WS_TICKET_SECRET || crypto.randomBytes(32).toString("hex");
+const WS_TICKET_TTL_MS = (parseInt(process.env.WS_TICKET_TTL_SEC, 10) || 30) * 1000;
+const WS_TICKET_PATHS = ["/ws", "/ws/scanner", "/ws/shared"];
+
+function signWsTicketPayload(payloadB64) {
+  return crypto.createHmac("sha256", WS_TICKET_SECRET).update(payloadB64).digest("base64url");
+}
+
+function issueWsTicket(identity, path) {
+  const payload = {
+    jti: crypto.randomBytes(12).toString("hex"),
+    id: identity.id,
+    user: identity.user,
+    role: identity.role,
+    via: identity.via,
+    path: path || null,
+    exp: Date.now() + WS_TICKET_TTL_MS,
+  };
+  const payloadB64 = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return { ticket: `${payloadB64}.${signWsTicketPayload(payloadB64)}`, payload };
+}
+
+// Identity for a valid, unexpired, unused ticket bound to `path` (or to any path); null otherwise.
+async function redeemWsTicket(ticket, path) {
+  const [payloadB64, sig] = String(ticket || "").split(".");
+  if (!payloadB64 || !sig) return null;
+  const expected = Buffer.from(signWsTicketPayload(payloadB64));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  let payload;
+  try { payload = JSON.parse(Buffer.from(payloadB64, "base64url").toString("utf8")); } catch { return null; }
+  if (!payload?.jti || !(payload.exp > Date.now())) return null;
+  if (payload.path && payload.path !== path) return null;
+  const uses = await STATE_STORE.incr(`ws-ticket:${payload.jti}`, Math.max(1000, payload.exp - Date.now()));
+  if (uses !== 1) return null;
+  return { id: payload.id, user: payload.user, role: payload.role, via: "ticket", ticketId: payload.jti, authVia: payload.via };
+}
+
+app.post("/api/ws/ticket", async (req, res) => {
+  try {
+    const path = req.body?.path != null ? String(req.body.path) : null;
+    if (path && !WS_TICKET_PATHS.includes(path)) {
+      return res.status(400).json({ error: "Invalid path", allowed: WS_TICKET_PATHS });
+    }
+    if (!hasRole(req.auth, WS_MIN_ROLE)) {
+      return res.status(403).json({ error: "Forbidden", message: `Requires ${WS_MIN_ROLE} role`, role: req.auth.role });
+    }
+    const { ticket, payload } = issueWsTicket(req.auth, path);
+    res.setHeader("Cache-Control", "no-store");
+    res.json({
+      success: true,
+      ticket,
+      path: payload.path,
+      expiresAt: new Date(payload.exp).toISOString(),
+      usage: `${payload.path || "/ws/scanner"}?ticket=<ticket>`,
+    });
+  } catch (e) {
+    sendRouteError(res, e, { label: "Failed to issue WS ticket" });
   }
 });
 
@@ -1906,10 +4036,14 @@ app.use((req, res) => {
 const server = http.createServer(app);
 const wss = new WebSocket.Server({ noServer: true }); // /ws (Polygon passthrough)
 const scannerWss = new WebSocket.Server({ noServer: true }); // /ws/scanner (normalized scanner stream)
+const sharedWss = new WebSocket.Server({ noServer: true }); // /ws/shared (shared ticker changes)
+const WS_SERVERS = { "/ws": wss, "/ws/scanner": scannerWss, "/ws/shared": sharedWss };
 
 // --- Scanner stream (Massive-backed, normalized) ----------------------------
 // Server emits only normalized payloads to clients:
-//  { type: "snapshot"|"upsert"|"remove"|"heartbeat"|"error", ... }
+//  { type: "snapshot"|"upsert"|"remove"|"breakout"|"halt"|"resume"|"news"|"session"|"subscribed"|"heartbeat"|"error", ... }
+// snapshot/upsert/remove/breakout/halt/resume/news are filtered per client (see parseScannerFilter).
+// Point MASSIVE_STOCKS_WS_URL at a local ws server to replay AM/LULD events in tests (scripts/replay-luld.js).
 const MASSIVE_STOCKS_WS_URL = String(process.env.MASSIVE_STOCKS_WS_URL || "").trim();
 const SCANNER_UNIVERSE_LIMIT = Math.max(50, Math.min(500, parseInt(process.env.SCANNER_UNIVERSE_LIMIT || "500", 10) || 500));
 const SCANNER_UNIVERSE_REFRESH_MS = Math.max(5000, parseInt(process.env.SCANNER_UNIVERSE_REFRESH_MS || "15000", 10) || 15000);
@@ -1929,15 +4063,89 @@ function parseWsUrl(request) {
   }
 }
 
-function requireAppTokenWs(request, socket) {
-  if (!APP_TOKEN) return true;
-  const headerToken = request.headers["x-app-token"];
-  if (headerToken && headerToken === APP_TOKEN) return true;
-  const u = parseWsUrl(request);
-  const qpToken = u ? (u.searchParams.get("app_token") || u.searchParams.get("APP_TOKEN")) : null;
-  if (qpToken && qpToken === APP_TOKEN) return true;
-  wsUnauthorized(socket);
-  return false;
+function wsForbidden(socket) {
+  try {
+    socket.write("HTTP/1.1 403 Forbidden\r\n\r\n");
+  } catch { }
+  try { socket.destroy(); } catch { }
+}
+
+function wsTooManyConnections(socket) {
+  try {
+    socket.write("HTTP/1.1 429 Too Many Requests\r\n\r\n");
+  } catch { }
+  try { socket.destroy(); } catch { }
+}
+
+// ?ticket= from POST /api/ws/ticket (browsers can't set WS headers), else the same credential headers as
+// REST. A presented ticket never falls back to other credentials.
+async function authenticateWsUpgrade(request, socket, pathname) {
+  let identity = null;
+  try {
+    const u = parseWsUrl(request);
+    const ticket = u?.searchParams.get("ticket");
+    identity = ticket
+      ? await redeemWsTicket(ticket, pathname)
+      : await authenticateCredentials(credentialsFrom(request.headers, u));
+  } catch (e) {
+    console.error("WS auth failed:", e.message);
+  }
+  if (!identity) {
+    wsUnauthorized(socket);
+    return null;
+  }
+  if (!hasRole(identity, WS_MIN_ROLE)) {
+    wsForbidden(socket);
+    return null;
+  }
+  return identity;
+}
+
+// Per-user concurrent socket count across all WS paths, plus connect/disconnect audit lines. API keys count
+// per key id; shared identities (APP_TOKEN, ADMIN_TOKEN, anonymous) have no id, so they count per client IP.
+const WS_MAX_CONNECTIONS_PER_USER = parseInt(process.env.WS_MAX_CONNECTIONS_PER_USER ?? "10", 10) || 0;
+const wsConnectionsByUser = new Map(); // limit key -> open sockets
+
+// Same client address REST sees as req.ip ("trust proxy" 1 = last X-Forwarded-For hop).
+function wsClientIp(request) {
+  const forwarded = app.get("trust proxy") ? String(request.headers["x-forwarded-for"] || "").split(",").pop().trim() : "";
+  return forwarded || request.socket?.remoteAddress || "unknown";
+}
+
+function wsLimitKey(identity, request) {
+  return identity.id ? `key:${identity.id}` : `${identity.user}@${wsClientIp(request)}`;
+}
+
+function wsUserAtLimit(limitKey) {
+  return WS_MAX_CONNECTIONS_PER_USER > 0 && (wsConnectionsByUser.get(limitKey) || 0) >= WS_MAX_CONNECTIONS_PER_USER;
+}
+
+function trackWsConnection(wsClient, pathname, limitKey) {
+  const { user, role, via } = wsClient.auth;
+  wsConnectionsByUser.set(limitKey, (wsConnectionsByUser.get(limitKey) || 0) + 1);
+  console.log(`WS open ${pathname} user=${user} role=${role} via=${via}`);
+  wsClient.once("close", () => {
+    const n = (wsConnectionsByUser.get(limitKey) || 1) - 1;
+    if (n > 0) wsConnectionsByUser.set(limitKey, n);
+    else wsConnectionsByUser.delete(limitKey);
+    console.log(`WS close ${pathname} user=${user}`);
+  });
+}
+
+// Sockets authenticated with API key `id` (directly or via a ticket), on every WS path.
+function wsClientsForApiKey(id) {
+  const out = [];
+  for (const target of Object.values(WS_SERVERS)) {
+    for (const ws of target.clients) if (ws.auth?.id === id) out.push(ws);
+  }
+  return out;
+}
+
+function closeWsForApiKey(id, reason) {
+  for (const ws of wsClientsForApiKey(id)) {
+    console.log(`WS close (${reason}) user=${ws.auth.user}`);
+    try { ws.close(1008, reason); } catch { }
+  }
 }
 
 function safeSend(ws, payload) {
@@ -1965,10 +4173,30 @@ function massiveSend(payload) {
   } catch { }
 }
 
+// AM minute bars always; LULD bands/halts too unless SCANNER_LULD=0 (plan without LULD entitlement).
+const SCANNER_LULD = !/^(0|false|no)$/i.test(String(process.env.SCANNER_LULD || "1"));
+const MASSIVE_CHANNELS = SCANNER_LULD ? ["AM", "LULD"] : ["AM"];
+
+// Stocks get MASSIVE_CHANNELS; other asset classes only their minute-aggregate channel (XA.X:BTCUSD, CA.C:EURUSD).
+function massiveChannelParams(symbols) {
+  return symbols.flatMap(s => {
+    const cls = assetClassOf(s);
+    return (cls === "stocks" ? MASSIVE_CHANNELS : [ASSET_CLASSES[cls].minuteAgg]).map(ch => `${ch}.${s}`);
+  }).join(",");
+}
+
+// Crypto/forex aggregates name the pair ("BTC-USD", "EUR/USD") instead of the prefixed ticker.
+function aggEventSymbol(item, ev) {
+  if ((ev === "XA" || ev === "CA") && item.pair) {
+    return (ev === "XA" ? "X:" : "C:") + String(item.pair).toUpperCase().replace(/[-/]/g, "");
+  }
+  return String(item.sym || item.symbol || item.s || "").toUpperCase();
+}
+
 function massiveSubscribe(symbols) {
   const add = symbols.filter(Boolean).map(s => s.toUpperCase());
   if (!add.length) return;
-  const params = add.map(s => `AM.${s}`).join(",");
+  const params = massiveChannelParams(add);
   massiveSend({ action: "subscribe", params });
   for (const s of add) massiveSubscribed.add(s);
 }
@@ -1976,11 +4204,594 @@ function massiveSubscribe(symbols) {
 function massiveUnsubscribe(symbols) {
   const rem = symbols.filter(Boolean).map(s => s.toUpperCase());
   if (!rem.length) return;
-  const params = rem.map(s => `AM.${s}`).join(",");
+  const params = massiveChannelParams(rem);
   massiveSend({ action: "unsubscribe", params });
   for (const s of rem) massiveSubscribed.delete(s);
 }
 
+// --- Live ORB breakouts ------------------------------------------------------
+// Per-symbol opening range built from AM bars (seeded from today's minute history when a
+// symbol enters the universe). A `breakout` message fires once per direction per day.
+const SCANNER_ORB_MINUTES = normalizeOrbMinutes(process.env.SCANNER_ORB_MINUTES || ORB_MINUTES_DEFAULT);
+const scannerOrbBySymbol = new Map(); // symbol -> { date, high, low, lastBarT, volSum, volBars (regular session), breakouts }
+
+function freshOrbState(dateStr) {
+  return { date: dateStr, high: null, low: null, lastBarT: 0, volSum: 0, volBars: 0, breakouts: { above: null, below: null } };
+}
+
+// Fold one minute bar into the symbol's ORB state; returns a breakout payload or null.
+function applyBarToOrb(sym, bar, state = null) {
+  if (typeof bar?.t !== "number" || typeof bar.c !== "number") return null;
+  const dateStr = ymdNY(new Date(bar.t));
+  let st = state || scannerOrbBySymbol.get(sym);
+  if (!st || st.date !== dateStr) {
+    st = freshOrbState(dateStr);
+    if (!state) scannerOrbBySymbol.set(sym, st);
+  }
+  if (bar.t <= st.lastBarT) return null;
+  st.lastBarT = bar.t;
+
+  const m = minuteOfDayNY(bar.t);
+  const windowEnd = RTH_OPEN_MIN + SCANNER_ORB_MINUTES;
+  if (m < RTH_OPEN_MIN) return null;
+
+  // Breakout RVOL compares the bar with the same minute's average over the baseline days; without a
+  // baseline, with today's earlier regular-session bars (premarket bars are too thin to compare against).
+  const vol = typeof bar.v === "number" ? bar.v : 0;
+  const avgVol = expectedMinuteVolume(sym, dateStr, m) ?? (st.volBars ? st.volSum / st.volBars : null);
+  st.volSum += vol;
+  st.volBars += 1;
+
+  if (m < windowEnd) {
+    if (typeof bar.h === "number") st.high = st.high == null ? bar.h : Math.max(st.high, bar.h);
+    if (typeof bar.l === "number") st.low = st.low == null ? bar.l : Math.min(st.low, bar.l);
+    return null;
+  }
+  if (st.high == null || st.low == null) return null;
+
+  const direction = bar.c > st.high ? "above" : (bar.c < st.low ? "below" : null);
+  if (!direction || st.breakouts[direction]) return null;
+  st.breakouts[direction] = bar.t;
+  return {
+    symbol: sym,
+    direction,
+    level: direction === "above" ? st.high : st.low,
+    price: bar.c,
+    orbHigh: st.high,
+    orbLow: st.low,
+    orbMinutes: SCANNER_ORB_MINUTES,
+    volume: vol,
+    relativeVolume: avgVol ? +(vol / avgVol).toFixed(2) : null,
+    barTime: new Date(bar.t).toISOString(),
+  };
+}
+
+function orbRowFields(sym, lastPrice) {
+  const st = scannerOrbBySymbol.get(sym);
+  if (!st || st.date !== ymdNY() || st.high == null) return { orbHigh: null, orbLow: null, orbState: "pending" };
+  const complete = minuteOfDayNY(Date.now()) >= RTH_OPEN_MIN + SCANNER_ORB_MINUTES;
+  let orbState = "pending";
+  if (complete && lastPrice != null) orbState = lastPrice > st.high ? "above" : (lastPrice < st.low ? "below" : "inside");
+  return { orbHigh: st.high, orbLow: st.low, orbState };
+}
+
+// --- Volume baselines + session volume -------------------------------------
+// Baselines (10/30-day average daily volume and an average cumulative-volume-by-minute
+// profile for time-of-day RVOL) are fetched once per symbol per day and cached. Symbols that stay in
+// the universe across a day roll reload theirs on the first miss (see refreshScannerSymbolData).
+const SCANNER_RVOL_DAYS = Math.max(1, Math.min(20, parseInt(process.env.SCANNER_RVOL_DAYS || "10", 10) || 10));
+const PROFILE_LEN = AFTERHOURS_CLOSE_MIN - PREMARKET_OPEN_MIN; // one slot per extended-hours minute
+const scannerVolBySymbol = new Map(); // symbol -> { date, lastBarT, premarket, regular, postmarket }
+
+async function getVolumeBaseline(sym) {
+  const today = ymdNY();
+  const key = `volbase:${sym}:${today}`;
+  const cached = await FUND_CACHE.load(key);
+  if (cached) return cached;
+
+  const yesterday = ymdNY(addDays(new Date(), -1));
+  const daily = await makePolygonRequest(
+    `/v2/aggs/ticker/${encodeURIComponent(sym)}/range/1/day/${ymdNY(addDays(new Date(), -45))}/${yesterday}`,
+    { adjusted: true, sort: "asc", limit: 50 }
+  );
+  const vols = (daily?.results || []).filter(b => typeof b.v === "number").map(b => b.v);
+  const avg = (arr) => arr.length ? Math.round(arr.reduce((a, b) => a + b, 0) / arr.length) : null;
+
+  // Minute history for the profile, grouped by NY date; date and minute of day come from nyLocalMs with
+  // integer arithmetic (tens of thousands of bars per symbol).
+  const minute = await makePolygonRequest(
+    `/v2/aggs/ticker/${encodeURIComponent(sym)}/range/1/minute/${ymdNY(addDays(new Date(), -(SCANNER_RVOL_DAYS * 2 + 4)))}/${yesterday}`,
+    { adjusted: true, sort: "asc", limit: 50000 }
+  );
+  const days = [];
+  let cur = null, curDay = null;
+  for (const b of minute?.results || []) {
+    if (typeof b?.t !== "number" || typeof b.v !== "number") continue;
+    const local = nyLocalMs(b.t);
+    const day = Math.floor(local / 86400000);
+    if (day !== curDay) { cur = new Array(PROFILE_LEN).fill(0); curDay = day; days.push(cur); }
+    const idx = Math.floor((local - day * 86400000) / 60000) - PREMARKET_OPEN_MIN;
+    if (idx >= 0 && idx < PROFILE_LEN) cur[idx] += b.v;
+  }
+  const recent = days.slice(-SCANNER_RVOL_DAYS);
+  let profile = null;
+  if (recent.length) {
+    profile = new Array(PROFILE_LEN).fill(0);
+    for (const d of recent) {
+      let cum = 0;
+      for (let i = 0; i < PROFILE_LEN; i++) { cum += d[i]; profile[i] += cum; }
+    }
+    for (let i = 0; i < PROFILE_LEN; i++) profile[i] = Math.round(profile[i] / recent.length);
+  }
+
+  const out = {
+    avgVolume10d: avg(vols.slice(-10)),
+    avgVolume30d: avg(vols.slice(-30)),
+    profile,
+    profileDays: recent.length,
+  };
+  FUND_CACHE.set(key, out, 12 * 60 * 60 * 1000);
+  return out;
+}
+
+function applyBarToSessionVolume(sym, bar, state = null) {
+  if (typeof bar?.t !== "number" || typeof bar.v !== "number") return;
+  const dateStr = ymdNY(new Date(bar.t));
+  let st = state || scannerVolBySymbol.get(sym);
+  if (!st || st.date !== dateStr) {
+    st = { date: dateStr, lastBarT: 0, premarket: 0, regular: 0, postmarket: 0 };
+    if (!state) scannerVolBySymbol.set(sym, st);
+  }
+  if (bar.t <= st.lastBarT) return;
+  st.lastBarT = bar.t;
+  const m = minuteOfDayNY(bar.t);
+  const close = tradingHoursNY(dateStr)?.regularClose ?? RTH_CLOSE_MIN;
+  if (m < RTH_OPEN_MIN) st.premarket += bar.v;
+  else if (m < close) st.regular += bar.v;
+  else st.postmarket += bar.v;
+}
+
+// Average volume of the one minute bar at `minuteOfDay` over the profile days; null without a profile.
+function expectedMinuteVolume(sym, dateStr, minuteOfDay) {
+  const profile = FUND_CACHE.get(`volbase:${sym}:${dateStr}`)?.profile;
+  const idx = minuteOfDay - PREMARKET_OPEN_MIN;
+  if (!profile || idx < 0 || idx >= PROFILE_LEN) return null;
+  const v = profile[idx] - (idx > 0 ? profile[idx - 1] : 0);
+  return v > 0 ? v : null;
+}
+
+// RVOL is time-of-day adjusted when a minute profile exists, else day volume / 10-day average.
+function volumeRowFields(sym, dayVolume) {
+  const st = scannerVolBySymbol.get(sym);
+  const live = st && st.date === ymdNY() ? st : null;
+  const base = FUND_CACHE.get(`volbase:${sym}:${ymdNY()}`);
+  if (!base) refreshScannerSymbolData(sym, "volbase", () => getVolumeBaseline(sym));
+  const cum = live ? live.premarket + live.regular + live.postmarket : null;
+  const vol = typeof dayVolume === "number" && dayVolume > 0 ? Math.max(dayVolume, cum || 0) : cum;
+
+  let relativeVolume = null;
+  if (vol != null && base) {
+    const idx = Math.min(PROFILE_LEN - 1, minuteOfDayNY(Date.now()) - PREMARKET_OPEN_MIN);
+    const expected = base.profile && idx >= 0 ? base.profile[idx] : null;
+    if (expected > 0) relativeVolume = +(vol / expected).toFixed(2);
+    else if (base.avgVolume10d > 0) relativeVolume = +(vol / base.avgVolume10d).toFixed(2);
+  }
+  return {
+    relativeVolume,
+    premarketVolume: live ? live.premarket : null,
+    postmarketVolume: live ? live.postmarket : null,
+    avgVolume10d: base ? base.avgVolume10d : null,
+    avgVolume30d: base ? base.avgVolume30d : null,
+  };
+}
+
+// Background reload of a universe symbol's cached baseline/float after a miss (day roll, TTL expiry,
+// eviction); the row is republished when it lands. One load per symbol and kind at a time, and a failed
+// load waits SCANNER_REFRESH_RETRY_MS before the next attempt.
+const SCANNER_REFRESH_RETRY_MS = 5 * 60 * 1000;
+const scannerRefreshInFlight = new Set(); // "kind:sym"
+const scannerRefreshRetryAt = new Map(); // "kind:sym" -> ms
+
+function refreshScannerSymbolData(sym, kind, loader) {
+  const key = `${kind}:${sym}`;
+  if (!scannerUniverse.has(sym) || scannerRefreshInFlight.has(key)) return;
+  if ((scannerRefreshRetryAt.get(key) || 0) > Date.now()) return;
+  scannerRefreshInFlight.add(key);
+  runInBackgroundLane(loader)
+    .then(() => {
+      scannerRefreshRetryAt.delete(key);
+      republishScannerRow(sym);
+    })
+    .catch(() => { scannerRefreshRetryAt.set(key, Date.now() + SCANNER_REFRESH_RETRY_MS); })
+    .finally(() => { scannerRefreshInFlight.delete(key); });
+}
+
+function republishScannerRow(sym) {
+  const row = scannerRowsBySymbol.get(sym);
+  if (!row || !scannerUniverse.has(sym)) return;
+  const next = Object.assign({}, row, derivedRowFields(sym, row.lastPrice, row.dailyVolume), { lastUpdated: isoNow() });
+  scannerRowsBySymbol.set(sym, next);
+  publishScannerRows([next]);
+}
+
+// --- Free float + float rotation --------------------------------------------
+// Massive free float only (shares outstanding is not float). The one fetch path and cache key for the
+// scanner, the RCT scan and /api/float; misses are cached briefly too. `record` is Massive's raw result.
+async function getFreeFloat(sym) {
+  const key = `freefloat:${sym}`;
+  const cached = await FUND_CACHE.load(key);
+  if (cached) return cached;
+  const data = await makeMassiveRequest("/stocks/v1/float", { ticker: sym, limit: 1 });
+  const fr = (data?.results || [])[0] || null;
+  const ok = fr && typeof fr.free_float === "number" && fr.free_float > 0;
+  const out = {
+    freeFloat: ok ? Math.floor(fr.free_float) : null,
+    freeFloatPercent: ok && typeof fr.free_float_percent === "number" ? fr.free_float_percent : null,
+    effectiveDate: ok ? fr.effective_date || null : null,
+    sector: (fr?.sector || "").trim() || null,
+    record: fr,
+    nextUrl: data?.next_url ?? null,
+  };
+  FUND_CACHE.set(key, out, ok ? TTL_MS : 60 * 60 * 1000);
+  return out;
+}
+
+function floatRowFields(sym, dayVolume) {
+  const f = FUND_CACHE.get(`freefloat:${sym}`);
+  if (!f) refreshScannerSymbolData(sym, "float", () => getFreeFloat(sym));
+  const floatShares = f ? f.freeFloat : null;
+  return {
+    floatShares,
+    floatFormatted: floatShares != null ? formatShareCount(floatShares) : null,
+    floatRotation: floatShares && typeof dayVolume === "number" ? +(dayVolume / floatShares).toFixed(2) : null,
+  };
+}
+
+// --- Session VWAP + 1-minute EMA9 ------------------------------------------
+// VWAP is anchored at 04:00 for premarket and re-anchored at 09:30 (carrying into afterhours).
+// EMA9 runs over all of today's 1-minute closes, seeded with the SMA of the first 9.
+// The last SCANNER_SPARKLINE_POINTS closes are kept for the sparkline and trend direction.
+const EMA9_PERIOD = 9;
+const SCANNER_SPARKLINE_POINTS = Math.max(5, Math.min(390, parseInt(process.env.SCANNER_SPARKLINE_POINTS || "30", 10) || 30));
+const TREND_SLOPE_MIN_PCT = 0.02; // regression slope, % of mean price per bar, below which trend is flat
+const scannerTechBySymbol = new Map(); // symbol -> { date, lastBarT, anchor, pv, v, ema9, seed, closes }
+
+function freshTechState(dateStr) {
+  return { date: dateStr, lastBarT: 0, anchor: "premarket", pv: 0, v: 0, ema9: null, seed: [], closes: [] };
+}
+
+// Least-squares slope of the closes (as % of their mean per bar), confirmed by price vs EMA9.
+function trendFromCloses(closes, ema9) {
+  const n = closes.length;
+  if (n < 3) return "flat";
+  let sx = 0, sy = 0, sxy = 0, sxx = 0;
+  for (let i = 0; i < n; i++) {
+    sx += i; sy += closes[i]; sxy += i * closes[i]; sxx += i * i;
+  }
+  const mean = sy / n;
+  const denom = n * sxx - sx * sx;
+  if (!denom || !(mean > 0)) return "flat";
+  const slopePct = (((n * sxy - sx * sy) / denom) / mean) * 100;
+  const last = closes[n - 1];
+  if (slopePct >= TREND_SLOPE_MIN_PCT && (ema9 == null || last >= ema9)) return "up";
+  if (slopePct <= -TREND_SLOPE_MIN_PCT && (ema9 == null || last <= ema9)) return "down";
+  return "flat";
+}
+
+function applyBarToTech(sym, bar, state = null) {
+  if (typeof bar?.t !== "number" || typeof bar.c !== "number") return;
+  const dateStr = ymdNY(new Date(bar.t));
+  let st = state || scannerTechBySymbol.get(sym);
+  if (!st || st.date !== dateStr) {
+    st = freshTechState(dateStr);
+    if (!state) scannerTechBySymbol.set(sym, st);
+  }
+  if (bar.t <= st.lastBarT) return;
+  st.lastBarT = bar.t;
+
+  if (st.anchor === "premarket" && minuteOfDayNY(bar.t) >= RTH_OPEN_MIN) {
+    st.anchor = "regular";
+    st.pv = 0;
+    st.v = 0;
+  }
+  if (typeof bar.v === "number" && bar.v > 0) {
+    const px = typeof bar.vw === "number" && bar.vw > 0
+      ? bar.vw
+      : (typeof bar.h === "number" && typeof bar.l === "number" ? (bar.h + bar.l + bar.c) / 3 : bar.c);
+    st.pv += px * bar.v;
+    st.v += bar.v;
+  }
+
+  st.closes.push(bar.c);
+  if (st.closes.length > SCANNER_SPARKLINE_POINTS) st.closes.shift();
+
+  if (st.ema9 == null) {
+    st.seed.push(bar.c);
+    if (st.seed.length === EMA9_PERIOD) {
+      st.ema9 = st.seed.reduce((a, b) => a + b, 0) / EMA9_PERIOD;
+      st.seed = [];
+    }
+  } else {
+    const k = 2 / (EMA9_PERIOD + 1);
+    st.ema9 = bar.c * k + st.ema9 * (1 - k);
+  }
+}
+
+function techRowFields(sym, lastPrice) {
+  const st = scannerTechBySymbol.get(sym);
+  const live = st && st.date === ymdNY() ? st : null;
+  const vwap = live && live.v > 0 ? live.pv / live.v : null;
+  const ema9 = live ? live.ema9 : null;
+  const dist = (ref) => (lastPrice != null && ref > 0 ? +(((lastPrice - ref) / ref) * 100).toFixed(2) : null);
+  return {
+    vwap: vwap != null ? +vwap.toFixed(4) : null,
+    ema9: ema9 != null ? +ema9.toFixed(4) : null,
+    vwapDistancePercent: dist(vwap),
+    ema9DistancePercent: dist(ema9),
+    sparklineData: live ? live.closes.slice() : [],
+    trendDirection: live ? trendFromCloses(live.closes, ema9) : "flat",
+  };
+}
+
+// --- Halts / LULD -------------------------------------------------------------
+// LULD events ({ev: "LULD", T, h, l, i: [indicators], t}) carry the current price bands; `i` holds
+// Massive's integer codes for the SIP price band indicators (A-F), listed in LULD_INDICATORS. A band
+// message whose indicators include one of SCANNER_LULD_HALT_INDICATORS (23, SIP "D": bands suspended
+// during a trading halt or pause) marks the symbol halted; the next band update with bands (the
+// re-opening update) marks it resumed.
+const LULD_INDICATORS = Object.freeze({
+  20: "Opening update",
+  21: "Intra-day update",
+  22: "Restated value",
+  23: "Bands suspended during trading halt or pause",
+  24: "Re-opening update",
+  25: "Outside price band rule hours",
+});
+const SCANNER_LULD_HALT_INDICATORS = new Set(String(process.env.SCANNER_LULD_HALT_INDICATORS || "23")
+  .split(",").map(s => s.trim()).filter(Boolean));
+const scannerHaltBySymbol = new Map(); // symbol -> { date, status, reason, haltTime, resumeTime, luldUpper, luldLower }
+
+function haltIndicator(item) {
+  const indicators = Array.isArray(item.i) ? item.i : [];
+  return indicators.find(i => SCANNER_LULD_HALT_INDICATORS.has(String(i))) ?? null;
+}
+
+function classifyHaltEvent(item, ev) {
+  if (ev !== "LULD") return null;
+  return haltIndicator(item) != null ? "halt" : "luld";
+}
+
+// LULD timestamps may arrive in ms, µs or ns depending on feed; normalize to ms.
+function luldEventMs(t) {
+  if (typeof t !== "number" || !(t > 0)) return nowTs();
+  if (t > 1e17) return Math.floor(t / 1e6);
+  if (t > 1e14) return Math.floor(t / 1e3);
+  return t;
+}
+
+function haltStateFor(sym) {
+  const today = ymdNY();
+  let st = scannerHaltBySymbol.get(sym);
+  if (!st || st.date !== today) {
+    st = { date: today, status: null, reason: null, haltTime: null, resumeTime: null, luldUpper: null, luldLower: null };
+    scannerHaltBySymbol.set(sym, st);
+  }
+  return st;
+}
+
+function haltRowFields(sym) {
+  const st = scannerHaltBySymbol.get(sym);
+  const live = st && st.date === ymdNY() ? st : null;
+  return {
+    haltStatus: live ? live.status : null,
+    haltReason: live ? live.reason : null,
+    haltTime: live ? live.haltTime : null,
+    resumeTime: live ? live.resumeTime : null,
+    luldUpper: live ? live.luldUpper : null,
+    luldLower: live ? live.luldLower : null,
+  };
+}
+
+// Returns the `halt`/`resume` message to publish on a state transition, else null.
+function applyHaltEvent(sym, kind, item) {
+  const st = haltStateFor(sym);
+  const at = new Date(luldEventMs(item.t)).toISOString();
+  if (kind === "halt") {
+    if (st.status === "halted") return null;
+    st.status = "halted";
+    const code = haltIndicator(item);
+    st.reason = `LULD: ${LULD_INDICATORS[code] || `indicator ${code}`}`;
+    st.haltTime = at;
+    st.resumeTime = null;
+    return { type: "halt", symbol: sym, reason: st.reason, haltTime: st.haltTime, luldUpper: st.luldUpper, luldLower: st.luldLower };
+  }
+  const hasBands = item.h > 0 && item.l > 0;
+  if (hasBands) {
+    st.luldUpper = item.h;
+    st.luldLower = item.l;
+  }
+  if (st.status !== "halted" || !hasBands) return null;
+  st.status = "resumed";
+  st.resumeTime = at;
+  return { type: "resume", symbol: sym, reason: st.reason, haltTime: st.haltTime, resumeTime: st.resumeTime };
+}
+
+// --- News / catalyst enrichment ---------------------------------------------
+// Background loop pulls the latest Benzinga headlines for universe symbols (through
+// NEWS_CACHE) and publishes hasNews/catalystType changes plus a `news` message per new headline.
+const SCANNER_NEWS_REFRESH_MS = Math.max(15000, parseInt(process.env.SCANNER_NEWS_REFRESH_MS || "60000", 10) || 60000);
+const SCANNER_NEWS_LOOKBACK_MS = (parseInt(process.env.SCANNER_NEWS_LOOKBACK_HOURS, 10) || 24) * 60 * 60 * 1000;
+const SCANNER_NEWS_PER_SYMBOL = 5;
+const scannerNewsBySymbol = new Map(); // symbol -> { id, time, headline, url, catalystType, dilution }
+
+function newsRowFields(sym) {
+  const n = scannerNewsBySymbol.get(sym);
+  const fresh = n && n.time && Date.now() - Date.parse(n.time) <= SCANNER_NEWS_LOOKBACK_MS ? n : null;
+  return {
+    hasNews: !!fresh,
+    latestNewsTime: n ? n.time : null,
+    latestNewsHeadline: n ? n.headline : "",
+    latestNewsUrl: n ? n.url : null,
+    catalystType: fresh ? fresh.catalystType : null,
+    dilutionFlag: fresh ? fresh.dilution : false,
+  };
+}
+
+async function enrichScannerNews(sym) {
+  const page = await getBenzingaNews(sym, SCANNER_NEWS_PER_SYMBOL);
+  const items = (page?.results || []).filter(r => r && r.title);
+  if (!items.length || !scannerUniverse.has(sym)) return;
+  const top = items[0];
+  const recent = items.filter(r => Date.now() - Date.parse(r.published_utc || 0) <= SCANNER_NEWS_LOOKBACK_MS);
+  const next = {
+    id: String(top.benzinga_id ?? top.url ?? top.title),
+    time: top.published_utc ? new Date(top.published_utc).toISOString() : null,
+    headline: String(top.title).trim(),
+    url: top.url || null,
+    catalystType: classifyCatalyst(top),
+    // Any offering in the lookback window flags dilution, not just the newest headline.
+    dilution: recent.some(r => classifyCatalyst(r) === "offering"),
+  };
+  const prev = scannerNewsBySymbol.get(sym);
+  scannerNewsBySymbol.set(sym, next);
+  if (prev && prev.id === next.id && prev.dilution === next.dilution) return;
+
+  const row = scannerRowsBySymbol.get(sym);
+  if (row) {
+    const updated = Object.assign({}, row, newsRowFields(sym), { lastUpdated: isoNow() });
+    scannerRowsBySymbol.set(sym, updated);
+    publishScannerRows([updated]);
+  }
+  if (!prev || prev.id !== next.id) {
+    publishScannerSymbolEvent(sym, {
+      type: "news",
+      symbol: sym,
+      headline: next.headline,
+      url: next.url,
+      publishedAt: next.time,
+      catalystType: next.catalystType,
+      dilution: next.dilution,
+      ts: nowTs(),
+    });
+  }
+}
+
+let scannerNewsTimer = null;
+let scannerNewsRunning = false;
+function startScannerNewsLoop() {
+  if (scannerNewsTimer) return;
+  const run = async () => {
+    if (scannerNewsRunning) return; // a slow pass must not overlap the next tick
+    scannerNewsRunning = true;
+    try { await limitedMap(Array.from(scannerUniverse), 4, enrichScannerNews); } finally { scannerNewsRunning = false; }
+  };
+  scannerNewsTimer = setInterval(() => { void runInBackgroundLane(run); }, SCANNER_NEWS_REFRESH_MS);
+}
+
+function dropScannerSymbolState(sym) {
+  scannerRowsBySymbol.delete(sym);
+  scannerOrbBySymbol.delete(sym);
+  scannerVolBySymbol.delete(sym);
+  scannerTechBySymbol.delete(sym);
+  scannerHaltBySymbol.delete(sym);
+  scannerNewsBySymbol.delete(sym);
+}
+
+// Every server-derived column, recomputed from the per-symbol state maps.
+function derivedRowFields(sym, lastPrice, dailyVolume) {
+  return Object.assign(
+    { session: scannerSession },
+    volumeRowFields(sym, dailyVolume),
+    floatRowFields(sym, dailyVolume),
+    orbRowFields(sym, lastPrice),
+    techRowFields(sym, lastPrice),
+    haltRowFields(sym),
+    newsRowFields(sym)
+  );
+}
+
+function hodLodFields(lastPrice, highOfDay, lowOfDay) {
+  return {
+    highOfDay: highOfDay ?? null,
+    lowOfDay: lowOfDay ?? null,
+    percentFromHigh: lastPrice != null && highOfDay > 0 ? ((lastPrice - highOfDay) / highOfDay) * 100 : null,
+    percentFromLow: lastPrice != null && lowOfDay > 0 ? ((lastPrice - lowOfDay) / lowOfDay) * 100 : null,
+  };
+}
+
+// Rebuild ORB, session volume, VWAP, EMA9 and HOD/LOD from today's history so late universe entrants start correct.
+async function seedScannerSymbol(sym) {
+  const bars = await fetchMinuteBarsNY(sym);
+  const orb = freshOrbState(ymdNY());
+  const vol = { date: ymdNY(), lastBarT: 0, premarket: 0, regular: 0, postmarket: 0 };
+  const tech = freshTechState(ymdNY());
+  let hod = null, lod = null;
+  for (const b of bars) {
+    applyBarToOrb(sym, b, orb);
+    applyBarToSessionVolume(sym, b, vol);
+    applyBarToTech(sym, b, tech);
+    if (typeof b.h === "number") hod = hod == null ? b.h : Math.max(hod, b.h);
+    if (typeof b.l === "number") lod = lod == null ? b.l : Math.min(lod, b.l);
+  }
+  if (!scannerUniverse.has(sym)) return;
+  scannerOrbBySymbol.set(sym, orb);
+  scannerVolBySymbol.set(sym, vol);
+  scannerTechBySymbol.set(sym, tech);
+  try { await getVolumeBaseline(sym); } catch (_) { }
+  try { await getFreeFloat(sym); } catch (_) { }
+  const row = scannerRowsBySymbol.get(sym);
+  if (row && scannerUniverse.has(sym)) {
+    const maxOf = (a, b) => (a == null ? b : b == null ? a : Math.max(a, b));
+    const minOf = (a, b) => (a == null ? b : b == null ? a : Math.min(a, b));
+    const next = Object.assign({}, row,
+      hodLodFields(row.lastPrice, maxOf(row.highOfDay, hod), minOf(row.lowOfDay, lod)),
+      derivedRowFields(sym, row.lastPrice, row.dailyVolume),
+      { lastUpdated: isoNow() });
+    scannerRowsBySymbol.set(sym, next);
+    publishScannerRows([next]);
+  }
+}
+
+// --- Session tracking -----------------------------------------------------------
+// Rows are stamped with the NY session; a new NY date clears all day-scoped state (ORB,
+// session volume, VWAP/EMA, halts, HOD/LOD), re-seeds every symbol still in the universe (today's
+// bars, volume baseline, float) and every transition is broadcast as `session`.
+let scannerSession = marketSessionNY();
+let scannerSessionDate = ymdNY();
+
+function resetScannerDayState() {
+  scannerOrbBySymbol.clear();
+  scannerVolBySymbol.clear();
+  scannerTechBySymbol.clear();
+  scannerHaltBySymbol.clear();
+  for (const [sym, row] of scannerRowsBySymbol.entries()) {
+    scannerRowsBySymbol.set(sym, Object.assign({}, row, hodLodFields(null, null, null), { candleVolume1m: null }));
+  }
+  void runInBackgroundLane(() => limitedMap(Array.from(scannerUniverse), 4, seedScannerSymbol));
+}
+
+function checkScannerSession() {
+  const now = new Date();
+  const session = marketSessionNY(now);
+  const date = ymdNY(now);
+  if (session === scannerSession && date === scannerSessionDate) return;
+  const previous = scannerSession;
+  if (date !== scannerSessionDate) resetScannerDayState();
+  scannerSession = session;
+  scannerSessionDate = date;
+  for (const [sym, row] of scannerRowsBySymbol.entries()) {
+    scannerRowsBySymbol.set(sym, Object.assign({}, row, derivedRowFields(sym, row.lastPrice, row.dailyVolume), { lastUpdated: isoNow() }));
+  }
+  broadcastScanner({ type: "session", session, previous, date, ts: nowTs() });
+  broadcastScannerSnapshot();
+}
+
+let scannerSessionTimer = null;
+function startScannerSessionLoop() {
+  if (scannerSessionTimer) return;
+  scannerSessionTimer = setInterval(checkScannerSession, 5000);
+}
+
 function ensureMassiveUpstream() {
   if (!MASSIVE_STOCKS_WS_URL) return;
   if (massiveUpstream && (massiveUpstream.readyState === WebSocket.OPEN || massiveUpstream.readyState === WebSocket.CONNECTING)) return;
@@ -2015,32 +4826,53 @@ function ensureMassiveUpstream() {
     for (const item of arr) {
       if (!item || typeof item !== "object") continue;
       const ev = item.ev || item.event || item.type;
-      if (ev !== "AM") continue;
-      const sym = String(item.sym || item.symbol || item.s || "").toUpperCase();
+      const haltKind = classifyHaltEvent(item, ev);
+      if (haltKind) {
+        const sym = String(item.sym || item.T || item.symbol || "").toUpperCase();
+        if (!sym || !scannerUniverse.has(sym)) continue;
+        const event = applyHaltEvent(sym, haltKind, item);
+        const row = scannerRowsBySymbol.get(sym);
+        if (row) {
+          const next = Object.assign({}, row, haltRowFields(sym), { lastUpdated: isoNow() });
+          scannerRowsBySymbol.set(sym, next);
+          publishScannerRows([next]);
+        }
+        if (event) publishScannerSymbolEvent(sym, { ...event, ts: nowTs() });
+        continue;
+      }
+      if (ev !== "AM" && ev !== "XA" && ev !== "CA") continue;
+      const sym = aggEventSymbol(item, ev);
       if (!sym) continue;
       if (!scannerUniverse.has(sym)) continue;
 
       const last = scannerRowsBySymbol.get(sym) || null;
+      const barStart = typeof item.s === "number" ? item.s : (typeof item.t === "number" ? item.t : nowTs());
+      const bar = { t: barStart, o: item.o, h: item.h, l: item.l, c: item.c, v: item.v, vw: item.vw };
+      const breakout = applyBarToOrb(sym, bar);
+      applyBarToSessionVolume(sym, bar);
+      applyBarToTech(sym, bar);
+      // `av` is today's accumulated volume on Massive/Polygon AM events.
+      const dailyVolume = typeof item.av === "number" ? item.av : (last ? last.dailyVolume : null);
       const lastPrice = typeof item.c === "number" ? item.c : (last ? last.lastPrice : null);
       const candleVolume1m = typeof item.v === "number" ? item.v : (last ? last.candleVolume1m : null);
-      const highOfDay = typeof item.h === "number" ? item.h : (last ? last.highOfDay : null);
-      const lowOfDay = typeof item.l === "number" ? item.l : (last ? last.lowOfDay : null);
+      // Running day extremes (reset by resetScannerDayState on a new NY date).
+      const prevHigh = last ? last.highOfDay : null;
+      const prevLow = last ? last.lowOfDay : null;
+      const highOfDay = typeof item.h === "number" ? (prevHigh != null ? Math.max(prevHigh, item.h) : item.h) : prevHigh;
+      const lowOfDay = typeof item.l === "number" ? (prevLow != null ? Math.min(prevLow, item.l) : item.l) : prevLow;
 
       const next = Object.assign({}, last || {}, {
         symbol: sym,
-        session: last?.session || "premarket",
         lastPrice: lastPrice ?? null,
         candleVolume1m: candleVolume1m ?? null,
-        highOfDay: highOfDay ?? null,
-        lowOfDay: lowOfDay ?? null,
-        percentFromHigh:
-          lastPrice != null && highOfDay != null && highOfDay > 0 ? ((lastPrice - highOfDay) / highOfDay) * 100 : (last ? last.percentFromHigh : null),
-        percentFromLow:
-          lastPrice != null && lowOfDay != null && lowOfDay > 0 ? ((lastPrice - lowOfDay) / lowOfDay) * 100 : (last ? last.percentFromLow : null),
+        ...hodLodFields(lastPrice, highOfDay, lowOfDay),
+        dailyVolume: dailyVolume ?? null,
+        ...derivedRowFields(sym, lastPrice, dailyVolume),
         lastUpdated: isoNow(),
       });
       scannerRowsBySymbol.set(sym, next);
-      broadcastScanner({ type: "upsert", rows: [next], ts: nowTs() });
+      publishScannerRows([next]);
+      if (breakout) publishScannerSymbolEvent(sym, { type: "breakout", ...breakout, ts: nowTs() });
     }
   });
 
@@ -2068,42 +4900,142 @@ function computeBaseRowFromUniverseRow(u) {
 
   return {
     symbol,
-    session: "premarket",
+    session: scannerSession,
     lastPrice,
     changeDollar,
     changePercent,
     dailyVolume: typeof u.volume === "number" ? u.volume : null,
     candleVolume1m: null,
-    relativeVolume: null,
-    premarketVolume: null,
-    postmarketVolume: null,
-    floatShares: typeof u.sharesOutstanding === "number" ? u.sharesOutstanding : null,
+    ...volumeRowFields(symbol, typeof u.volume === "number" ? u.volume : null),
+    ...floatRowFields(symbol, typeof u.volume === "number" ? u.volume : null),
     marketCap: typeof u.marketCap === "number" ? u.marketCap : null,
     shortRatio: null,
     gapPercent:
       lastPrice != null && prevClose != null && prevClose > 0 ? ((lastPrice - prevClose) / prevClose) * 100 : changePercent,
-    vwapDistancePercent: null,
-    ema9DistancePercent: null,
-    haltStatus: null,
-    hasNews: false,
-    latestNewsTime: null,
-    latestNewsHeadline: "",
-    sparklineData: [],
-    trendDirection: "flat",
+    ...techRowFields(symbol, lastPrice),
+    ...haltRowFields(symbol),
+    ...newsRowFields(symbol),
     lastUpdated: isoNow(),
     sector: typeof u.sector === "string" ? u.sector : null,
-    catalystType: null,
     highOfDay,
     lowOfDay,
     percentFromHigh: null,
     percentFromLow: null,
-    floatRotation: null,
+    ...orbRowFields(symbol, lastPrice),
   };
 }
 
-const scannerClients = new Set();
+// ws -> { filter, visible }; filter null means "everything in the universe".
+const scannerClients = new Map();
 function broadcastScanner(msg) {
-  for (const ws of scannerClients) safeSend(ws, msg);
+  for (const ws of scannerClients.keys()) safeSend(ws, msg);
+}
+
+// --- Per-client scanner filters ----------------------------------------------
+// Clients send {type:"subscribe", filters:{priceMin, priceMax, changePercentMin, floatMax,
+// volumeMin, session, sectors:[], symbols:[]}}; omitted keys don't filter.
+const SCANNER_SESSION_ALIASES = { market: "regular", rth: "regular", postmarket: "afterhours", post: "afterhours", pre: "premarket" };
+
+function parseScannerFilter(raw) {
+  if (raw == null) return null;
+  if (typeof raw !== "object" || Array.isArray(raw)) throw new Error("filters must be an object");
+  const num = (k) => {
+    if (raw[k] == null || raw[k] === "") return null;
+    const n = Number(raw[k]);
+    if (!Number.isFinite(n)) throw new Error(`filters.${k} must be a number`);
+    return n;
+  };
+  const list = (k, fn) => {
+    if (raw[k] == null) return null;
+    if (!Array.isArray(raw[k])) throw new Error(`filters.${k} must be an array`);
+    const out = raw[k].map(fn).filter(Boolean);
+    return out.length ? new Set(out) : null;
+  };
+  let session = String(raw.session || "all").trim().toLowerCase();
+  session = SCANNER_SESSION_ALIASES[session] || session;
+  if (!["all", "premarket", "regular", "afterhours", "closed"].includes(session)) {
+    throw new Error("filters.session must be premarket|regular|afterhours|closed|all");
+  }
+  const symbols = list("symbols", v => {
+    const t = String(v || "").trim().toUpperCase();
+    return validTicker(t, "stocks") ? t : null;
+  });
+  return {
+    priceMin: num("priceMin"),
+    priceMax: num("priceMax"),
+    changePercentMin: num("changePercentMin"),
+    floatMax: num("floatMax"),
+    volumeMin: num("volumeMin"),
+    session: session === "all" ? null : session,
+    sectors: list("sectors", v => String(v || "").trim().toLowerCase()),
+    symbols,
+  };
+}
+
+function scannerFilterToJSON(f) {
+  if (!f) return null;
+  return Object.assign({}, f, {
+    sectors: f.sectors ? Array.from(f.sectors) : null,
+    symbols: f.symbols ? Array.from(f.symbols) : null,
+  });
+}
+
+function rowMatchesScannerFilter(row, f) {
+  if (!f) return true;
+  if (f.symbols && !f.symbols.has(row.symbol)) return false;
+  if (f.priceMin != null && !(row.lastPrice >= f.priceMin)) return false;
+  if (f.priceMax != null && !(row.lastPrice <= f.priceMax)) return false;
+  if (f.changePercentMin != null && !(row.changePercent >= f.changePercentMin)) return false;
+  if (f.volumeMin != null && !(row.dailyVolume >= f.volumeMin)) return false;
+  // Unknown float passes (same rule as the RCT scan).
+  if (f.floatMax != null && row.floatShares != null && row.floatShares > f.floatMax) return false;
+  if (f.session && row.session !== f.session) return false;
+  if (f.sectors && !f.sectors.has(String(row.sector || "").trim().toLowerCase())) return false;
+  return true;
+}
+
+function sendScannerSnapshot(ws) {
+  const st = scannerClients.get(ws);
+  if (!st) return;
+  const rows = Array.from(scannerRowsBySymbol.values()).filter(r => rowMatchesScannerFilter(r, st.filter));
+  st.visible = new Set(rows.map(r => r.symbol));
+  safeSend(ws, { type: "snapshot", rows, ts: nowTs() });
+}
+
+function broadcastScannerSnapshot() {
+  for (const ws of scannerClients.keys()) sendScannerSnapshot(ws);
+}
+
+// Re-evaluate membership per client: matching rows go out as upserts, rows that stopped matching as removes.
+function publishScannerRows(rows) {
+  for (const [ws, st] of scannerClients.entries()) {
+    const upserts = [];
+    const removed = [];
+    for (const row of rows) {
+      if (rowMatchesScannerFilter(row, st.filter)) {
+        st.visible.add(row.symbol);
+        upserts.push(row);
+      } else if (st.visible.delete(row.symbol)) {
+        removed.push(row.symbol);
+      }
+    }
+    if (upserts.length) safeSend(ws, { type: "upsert", rows: upserts, ts: nowTs() });
+    if (removed.length) safeSend(ws, { type: "remove", symbols: removed, ts: nowTs() });
+  }
+}
+
+function publishScannerRemove(symbols) {
+  for (const [ws, st] of scannerClients.entries()) {
+    const removed = symbols.filter(s => st.visible.delete(s));
+    if (removed.length) safeSend(ws, { type: "remove", symbols: removed, ts: nowTs() });
+  }
+}
+
+// Symbol-scoped events (breakouts etc.) only reach clients currently showing that symbol.
+function publishScannerSymbolEvent(symbol, msg) {
+  for (const [ws, st] of scannerClients.entries()) {
+    if (st.visible.has(symbol)) safeSend(ws, msg);
+  }
 }
 
 async function recomputeScannerUniverse() {
@@ -2127,7 +5059,11 @@ async function recomputeScannerUniverse() {
       const existing = scannerRowsBySymbol.get(sym);
       scannerRowsBySymbol.set(sym, Object.assign({}, base, existing || {}));
     }
-    for (const s of removed) scannerRowsBySymbol.delete(s);
+    for (const s of removed) dropScannerSymbolState(s);
+    if (added.length) {
+      void limitedMap(added, 4, seedScannerSymbol);
+      void limitedMap(added, 4, enrichScannerNews);
+    }
 
     if (MASSIVE_STOCKS_WS_URL) {
       ensureMassiveUpstream();
@@ -2137,9 +5073,9 @@ async function recomputeScannerUniverse() {
       }
     }
 
-    if (removed.length) broadcastScanner({ type: "remove", symbols: removed, ts: nowTs() });
-    // snapshot gives clients an authoritative view of current universe/base fields
-    broadcastScanner({ type: "snapshot", rows: Array.from(scannerRowsBySymbol.values()), ts: nowTs() });
+    if (removed.length) publishScannerRemove(removed);
+    // snapshot gives clients an authoritative view of current universe/base fields (filtered per client)
+    broadcastScannerSnapshot();
   } catch (e) {
     broadcastScanner({ type: "error", message: String(e?.message || e || "Universe recompute failed"), ts: nowTs() });
   }
@@ -2149,8 +5085,8 @@ let scannerUniverseTimer = null;
 function startScannerUniverseLoop() {
   if (scannerUniverseTimer) return;
   // Compute immediately, then on interval.
-  void recomputeScannerUniverse();
-  scannerUniverseTimer = setInterval(() => { void recomputeScannerUniverse(); }, SCANNER_UNIVERSE_REFRESH_MS);
+  void runInBackgroundLane(recomputeScannerUniverse);
+  scannerUniverseTimer = setInterval(() => { void runInBackgroundLane(recomputeScannerUniverse); }, SCANNER_UNIVERSE_REFRESH_MS);
 }
 
 let scannerHeartbeatTimer = null;
@@ -2161,58 +5097,462 @@ function startScannerHeartbeat() {
   }, 10000);
 }
 
-server.on("upgrade", (request, socket, head) => {
-  // Protect WebSockets with the same APP_TOKEN policy.
-  if (!requireAppTokenWs(request, socket)) return;
+// --- Polygon WS passthrough (/ws) -------------------------------------------
+// All /ws clients of a cluster (?cluster=stocks|options|crypto|forex|indices, default stocks) share one
+// upstream socket (Polygon caps concurrent connections per key). Clients speak the Polygon protocol:
+// {action:"auth"} is answered locally (the upgrade was already authenticated with our own API key),
+// {action:"subscribe"|"unsubscribe", params:"T.AAPL,Q.*"} is reference-counted per channel so the upstream
+// only (un)subscribes for the first/last client, and data events go only to clients that asked for
+// "<ev>.<sym>" or "<ev>.*". If the upstream drops, clients stay connected: they get a "reconnecting" status,
+// the proxy reconnects with backoff and replays every live subscription, then sends "reconnected".
+// Point POLYGON_WS_BASE_URL at a local ws server to replay events in tests.
+const POLYGON_WS_BASE_URL = String(process.env.POLYGON_WS_BASE_URL || "wss://socket.polygon.io").trim().replace(/\/+$/, "");
+const WS_MAX_SUBSCRIPTIONS_PER_CLIENT = parseInt(process.env.WS_MAX_SUBSCRIPTIONS_PER_CLIENT, 10) || 1000;
+const POLYGON_WS_IDLE_MS = 30000; // keep an upstream this long after its last client leaves
+const POLYGON_WS_RECONNECT_MAX_MS = 30000;
+const WS_PING_INTERVAL_MS = parseInt(process.env.WS_PING_INTERVAL_MS, 10) || 30000;
+const POLYGON_CHANNEL_REGEX = /^([A-Z0-9]{1,10})\.(\*|[A-Z0-9.:\/-]{1,40})$/;
+
+// cluster -> { cluster, upstream, authed, idleTimer, reconnectTimer, reconnectAttempts, channelRefs, clients }
+// channelRefs: "T.AAPL" -> number of clients subscribed; clients: ws -> { channels, keys }
+const polygonFeeds = new Map();
+
+function polygonFeed(cluster) {
+  if (!polygonFeeds.has(cluster)) {
+    polygonFeeds.set(cluster, {
+      cluster,
+      upstream: null,
+      authed: false,
+      idleTimer: null,
+      reconnectTimer: null,
+      reconnectAttempts: 0,
+      channelRefs: new Map(),
+      clients: new Map(),
+    });
+  }
+  return polygonFeeds.get(cluster);
+}
+
+// Crypto/forex events carry the pair ("BTC-USD", "USD/CNH") rather than the channel's "X:BTC-USD"; compare
+// symbols without the prefix and separators.
+function wsSymbolKey(sym) {
+  return String(sym).toUpperCase().replace(/^[XC]:/, "").replace(/[-/]/g, "");
+}
+
+function polygonChannelKey(channel) {
+  const [, ev, sym] = POLYGON_CHANNEL_REGEX.exec(channel);
+  return `${ev}.${sym === "*" ? "*" : wsSymbolKey(sym)}`;
+}
+
+// Most events use `sym`, crypto/forex `pair` (forex quotes `p`); LULD, NOI and index value (V) events use `T`.
+function polygonEventSymbol(e) {
+  return e.sym ?? e.T ?? e.pair ?? (typeof e.p === "string" ? e.p : null);
+}
 
+// Channel prefix must exist on the cluster and the symbol must be a valid ticker of that asset class.
+function validPolygonChannel(channel, cluster) {
+  const m = POLYGON_CHANNEL_REGEX.exec(channel);
+  if (!m || !ASSET_CLASSES[cluster].wsEvents.includes(m[1])) return false;
+  if (m[2] === "*") return true;
+  const ticker = (m[2].includes(":") ? m[2] : ASSET_CLASSES[cluster].prefix + m[2]).replace(/[-/]/g, "");
+  return validTicker(ticker, cluster);
+}
+
+function polygonSend(feed, payload) {
+  try {
+    if (feed.upstream && feed.upstream.readyState === WebSocket.OPEN) {
+      feed.upstream.send(JSON.stringify(payload));
+    }
+  } catch { }
+}
+
+function sendPolygonStatus(ws, status, messages) {
+  safeSend(ws, [].concat(messages).map(message => ({ ev: "status", status, message })));
+}
+
+function polygonWsMetrics() {
+  const out = {};
+  for (const [cluster, feed] of polygonFeeds.entries()) {
+    out[cluster] = {
+      connected: !!feed.authed,
+      reconnecting: !!feed.reconnectTimer,
+      reconnectAttempts: feed.reconnectAttempts,
+      clients: feed.clients.size,
+      channels: feed.channelRefs.size,
+    };
+  }
+  return out;
+}
+
+function addPolygonChannels(feed, mine, channels) {
+  const added = [];
+  for (const ch of channels) {
+    if (mine.channels.has(ch)) continue;
+    mine.channels.add(ch);
+    const n = (feed.channelRefs.get(ch) || 0) + 1;
+    feed.channelRefs.set(ch, n);
+    if (n === 1) added.push(ch);
+  }
+  mine.keys = new Set(Array.from(mine.channels, polygonChannelKey));
+  if (added.length && feed.authed) polygonSend(feed, { action: "subscribe", params: added.join(",") });
+}
+
+function removePolygonChannels(feed, mine, channels) {
+  const removed = [];
+  for (const ch of channels) {
+    if (!mine.channels.delete(ch)) continue;
+    const n = (feed.channelRefs.get(ch) || 1) - 1;
+    if (n > 0) {
+      feed.channelRefs.set(ch, n);
+    } else {
+      feed.channelRefs.delete(ch);
+      removed.push(ch);
+    }
+  }
+  mine.keys = new Set(Array.from(mine.channels, polygonChannelKey));
+  if (removed.length && feed.authed) polygonSend(feed, { action: "unsubscribe", params: removed.join(",") });
+}
+
+function fanOutPolygonEvents(feed, events) {
+  const keyed = events.map(e => [e, `${e.ev}.${wsSymbolKey(polygonEventSymbol(e) ?? "")}`, `${e.ev}.*`]);
+  for (const [ws, mine] of feed.clients.entries()) {
+    const out = keyed.filter(([, key, wildcard]) => mine.keys.has(key) || mine.keys.has(wildcard)).map(([e]) => e);
+    if (out.length) safeSend(ws, out);
+  }
+}
+
+// Exponential backoff (1s doubling to 30s, ±20% jitter) while any client of the cluster is still connected.
+function schedulePolygonReconnect(feed, reason) {
+  if (feed.reconnectTimer || !feed.clients.size) return;
+  const delay = Math.round(Math.min(POLYGON_WS_RECONNECT_MAX_MS, 1000 * 2 ** feed.reconnectAttempts) * (0.8 + Math.random() * 0.4));
+  feed.reconnectAttempts++;
+  console.error(`Polygon WS ${feed.cluster} upstream ${reason}; reconnect #${feed.reconnectAttempts} in ${delay}ms`);
+  for (const ws of feed.clients.keys()) {
+    sendPolygonStatus(ws, "reconnecting", `Polygon upstream ${reason}; reconnecting in ${(delay / 1000).toFixed(1)}s`);
+  }
+  feed.reconnectTimer = setTimeout(() => {
+    feed.reconnectTimer = null;
+    if (feed.clients.size) ensurePolygonUpstream(feed);
+  }, delay);
+}
+
+function ensurePolygonUpstream(feed) {
+  if (feed.idleTimer) {
+    clearTimeout(feed.idleTimer);
+    feed.idleTimer = null;
+  }
+  if (feed.reconnectTimer) return; // a backoff is running; it will connect
+  if (feed.upstream && (feed.upstream.readyState === WebSocket.OPEN || feed.upstream.readyState === WebSocket.CONNECTING)) return;
+  const upstream = new WebSocket(`${POLYGON_WS_BASE_URL}/${feed.cluster}`);
+  feed.upstream = upstream;
+  feed.authed = false;
+
+  upstream.on("open", () => polygonSend(feed, { action: "auth", params: POLYGON_API_KEY }));
+
+  upstream.on("message", (msg) => {
+    let parsed = null;
+    try { parsed = JSON.parse(msg.toString()); } catch { return; }
+    const events = [];
+    for (const item of Array.isArray(parsed) ? parsed : [parsed]) {
+      if (!item || typeof item !== "object") continue;
+      if (item.ev !== "status") {
+        events.push(item);
+      } else if (item.status === "auth_success") {
+        feed.authed = true;
+        const params = Array.from(feed.channelRefs.keys()).join(",");
+        if (params) polygonSend(feed, { action: "subscribe", params });
+        if (feed.reconnectAttempts) {
+          feed.reconnectAttempts = 0;
+          for (const [ws, mine] of feed.clients.entries()) {
+            sendPolygonStatus(ws, "reconnected", `Polygon upstream restored; resubscribed ${mine.channels.size} channel(s)`);
+          }
+        }
+      } else if (item.status !== "connected" && item.status !== "success") {
+        // auth_failed / max_connections / error concern every client; per-channel acks are answered locally.
+        console.error(`Polygon WS ${feed.cluster} upstream ${item.status}: ${item.message || ""}`);
+        for (const ws of feed.clients.keys()) sendPolygonStatus(ws, item.status, item.message || "");
+      }
+    }
+    if (events.length) fanOutPolygonEvents(feed, events);
+  });
+
+  // A half-open upstream never emits "close"; a missed pong forces one so the reconnect path runs.
+  let alive = true;
+  upstream.on("pong", () => { alive = true; });
+  const pinger = setInterval(() => {
+    if (upstream.readyState !== WebSocket.OPEN) return;
+    if (!alive) {
+      upstream.terminate();
+      return;
+    }
+    alive = false;
+    try { upstream.ping(); } catch { }
+  }, WS_PING_INTERVAL_MS);
+
+  upstream.on("error", (e) => console.error(`Polygon WS ${feed.cluster} upstream error:`, e.message));
+  upstream.on("close", (code) => {
+    clearInterval(pinger);
+    if (feed.upstream !== upstream) return;
+    feed.upstream = null;
+    feed.authed = false;
+    schedulePolygonReconnect(feed, alive ? `closed (${code})` : "stopped answering pings");
+  });
+}
+
+function releasePolygonUpstreamWhenIdle(feed) {
+  if (feed.clients.size || feed.idleTimer) return;
+  feed.idleTimer = setTimeout(() => {
+    feed.idleTimer = null;
+    if (feed.clients.size || !feed.upstream) return;
+    const upstream = feed.upstream;
+    feed.upstream = null;
+    feed.authed = false;
+    try { upstream.close(); } catch { }
+  }, POLYGON_WS_IDLE_MS);
+}
+
+// --- Shared tickers stream (/ws/shared) --------------------------------------
+// {type:"snapshot", date, tickers, seq} on connect (and whenever the client sends {type:"snapshot"}), then
+// add/update/remove/reset events as they happen and a heartbeat every 10s. seq goes up by one per change
+// across all instances; a client that sees a gap should ask for a fresh snapshot. Events that arrive while a
+// client's snapshot is being read are held and sent after it; events the snapshot already covers are dropped.
+const SHARED_TICKERS_POLL_MS = 1000;
+let sharedTickersLastSeq = null; // last store seq this instance has fanned out (shared store only)
+
+function sendSharedTickerEvent(ws, msg) {
+  if (ws.sharedHeld) ws.sharedHeld.push(msg);
+  else if (ws.sharedSeq == null || msg.seq > ws.sharedSeq) safeSend(ws, msg);
+}
+
+function broadcastSharedTickers(msg) {
+  for (const ws of sharedWss.clients) sendSharedTickerEvent(ws, msg);
+}
+
+// seq is read before the list, so the snapshot holds at least every change up to seq (a later one may be in
+// it too and is re-sent as an event; applying it twice is harmless).
+async function sendSharedTickersSnapshot(ws) {
+  ws.sharedSnapshotsPending = (ws.sharedSnapshotsPending || 0) + 1;
+  if (!ws.sharedHeld) ws.sharedHeld = [];
+  try {
+    const seq = Number(await STATE_STORE.get(SHARED_TICKERS_SEQ_KEY)) || 0;
+    const { date, tickers } = await listSharedTickers();
+    if (sharedTickersLastSeq == null) sharedTickersLastSeq = seq;
+    safeSend(ws, { type: "snapshot", date, tickers, seq, ts: nowTs() });
+    ws.sharedSeq = Math.max(ws.sharedSeq ?? 0, seq);
+  } catch (e) {
+    safeSend(ws, { type: "error", message: String(e?.message || e), ts: nowTs() });
+  } finally {
+    if (--ws.sharedSnapshotsPending === 0) {
+      const held = ws.sharedHeld;
+      ws.sharedHeld = null;
+      for (const msg of held) sendSharedTickerEvent(ws, msg);
+    }
+  }
+}
+
+// Runs the 6 PM roll-over (otherwise only triggered by a request) and, with a shared store, fans out
+// queued changes from every instance.
+async function pollSharedTickers() {
+  await checkTradingDayReset();
+  if (!STATE_STORE.shared) return;
+  const seq = Number(await STATE_STORE.get(SHARED_TICKERS_SEQ_KEY)) || 0;
+  if (sharedTickersLastSeq != null && seq > sharedTickersLastSeq) {
+    const backlog = Math.min(seq - sharedTickersLastSeq, SHARED_TICKERS_EVENTS_MAX);
+    for (const ev of await STATE_STORE.lrange(SHARED_TICKERS_EVENTS_KEY, -backlog, -1)) {
+      if (ev.seq > sharedTickersLastSeq && ev.seq <= seq) broadcastSharedTickers(ev);
+    }
+  }
+  sharedTickersLastSeq = seq;
+}
+
+let sharedTickersTimer = null;
+function startSharedTickersLoop() {
+  if (sharedTickersTimer) return;
+  let polling = false;
+  let lastHeartbeat = nowTs();
+  sharedTickersTimer = setInterval(() => {
+    if (!sharedWss.clients.size) {
+      sharedTickersLastSeq = null; // the next connection's snapshot sets a fresh baseline
+      return;
+    }
+    if (nowTs() - lastHeartbeat >= 10000) {
+      lastHeartbeat = nowTs();
+      for (const ws of sharedWss.clients) safeSend(ws, { type: "heartbeat", ts: lastHeartbeat });
+    }
+    if (polling) return;
+    polling = true;
+    pollSharedTickers()
+      .catch(e => console.error("Shared tickers poll failed:", e.message))
+      .finally(() => { polling = false; });
+  }, SHARED_TICKERS_POLL_MS);
+}
+
+// Dead-peer detection on every WS path: a client that hasn't answered the previous ping is terminated,
+// which runs that path's normal close cleanup (subscriptions, per-user counts).
+setInterval(() => {
+  for (const target of Object.values(WS_SERVERS)) {
+    for (const ws of target.clients) {
+      if (ws.isAlive === false) {
+        console.log(`WS terminate (no pong) user=${ws.auth?.user}`);
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      try { ws.ping(); } catch { }
+    }
+  }
+}, WS_PING_INTERVAL_MS).unref();
+
+// The admin routes close sockets on this instance right away; this catches revocations, rotations and role
+// changes made elsewhere (another instance, the store) once the API key cache entry expires.
+const WS_AUTH_RECHECK_MS = parseInt(process.env.WS_AUTH_RECHECK_MS, 10) || 60000;
+setInterval(async () => {
+  const byKey = new Map();
+  for (const target of Object.values(WS_SERVERS)) {
+    for (const ws of target.clients) {
+      if (!ws.auth?.id) continue;
+      if (!byKey.has(ws.auth.id)) byKey.set(ws.auth.id, []);
+      byKey.get(ws.auth.id).push(ws);
+    }
+  }
+  for (const [id, sockets] of byKey) {
+    let rec;
+    try { rec = await getApiKeyRecord(id); } catch { continue; }
+    for (const ws of sockets) {
+      const reason = !rec ? "API key deleted"
+        : rec.revokedAt ? "API key revoked"
+          : rec.rotatedAt && Date.parse(rec.rotatedAt) > ws.authAt ? "API key rotated"
+            : rec.role !== ws.auth.role ? "API key role changed"
+              : null;
+      if (!reason) continue;
+      console.log(`WS close (${reason}) user=${ws.auth.user}`);
+      try { ws.close(1008, reason); } catch { }
+    }
+  }
+}, WS_AUTH_RECHECK_MS).unref();
+
+server.on("upgrade", async (request, socket, head) => {
   // Note: request.url can include querystring. We only match the pathname.
   const u = parseWsUrl(request);
   const pathname = u ? u.pathname : request.url;
-
-  if (pathname === "/ws") {
-    wss.handleUpgrade(request, socket, head, wsClient => {
-      wss.emit("connection", wsClient, request);
-    });
-  } else if (pathname === "/ws/scanner") {
-    scannerWss.handleUpgrade(request, socket, head, wsClient => {
-      scannerWss.emit("connection", wsClient, request);
-    });
-  } else {
+  const target = WS_SERVERS[pathname];
+  if (!target) {
     socket.destroy();
+    return;
+  }
+
+  // Protect WebSockets with the same API key / role policy as REST; identity rides on the socket.
+  const identity = await authenticateWsUpgrade(request, socket, pathname);
+  if (!identity) return;
+  const limitKey = wsLimitKey(identity, request);
+  if (wsUserAtLimit(limitKey)) {
+    wsTooManyConnections(socket);
+    return;
   }
+
+  target.handleUpgrade(request, socket, head, wsClient => {
+    wsClient.auth = identity;
+    wsClient.authAt = Date.now();
+    wsClient.isAlive = true;
+    wsClient.on("pong", () => { wsClient.isAlive = true; });
+    trackWsConnection(wsClient, pathname, limitKey);
+    target.emit("connection", wsClient, request);
+  });
 });
 
-wss.on("connection", (wsClient) => {
-  const upstream = new WebSocket("wss://socket.polygon.io/stocks");
-  upstream.on("open", () => {
-    upstream.send(JSON.stringify({ action: "auth", params: POLYGON_API_KEY }));
+wss.on("connection", (wsClient, request) => {
+  const cluster = parseCluster(parseWsUrl(request)?.searchParams.get("cluster"));
+  if (!cluster) {
+    sendPolygonStatus(wsClient, "error", `Invalid cluster; use one of ${ASSET_CLASS_NAMES.join(", ")}`);
+    wsClient.close(1008, "Invalid cluster");
+    return;
+  }
+  const feed = polygonFeed(cluster);
+  const mine = { channels: new Set(), keys: new Set() };
+  feed.clients.set(wsClient, mine);
+  ensurePolygonUpstream(feed);
+  sendPolygonStatus(wsClient, "connected", "Connected Successfully");
+  if (feed.reconnectTimer) sendPolygonStatus(wsClient, "reconnecting", "Polygon upstream unavailable; reconnecting");
+
+  wsClient.on("message", (msg) => {
+    let parsed = null;
+    try { parsed = JSON.parse(msg.toString()); } catch {
+      sendPolygonStatus(wsClient, "error", "Invalid JSON");
+      return;
+    }
+    const action = String(parsed?.action || "");
+    if (action === "auth") {
+      sendPolygonStatus(wsClient, "auth_success", "authenticated");
+      return;
+    }
+    if (action !== "subscribe" && action !== "unsubscribe") {
+      sendPolygonStatus(wsClient, "error", `Unknown action: ${action}`);
+      return;
+    }
+    const channels = Array.from(new Set(String(parsed.params || "").split(",").map(c => c.trim().toUpperCase()).filter(Boolean)));
+    const invalid = channels.filter(c => !validPolygonChannel(c, cluster));
+    if (!channels.length || invalid.length) {
+      sendPolygonStatus(wsClient, "error", invalid.length ? `Invalid ${cluster} channel(s): ${invalid.join(",")}` : "No channels given");
+      return;
+    }
+    if (action === "subscribe") {
+      if (mine.channels.size + channels.filter(c => !mine.channels.has(c)).length > WS_MAX_SUBSCRIPTIONS_PER_CLIENT) {
+        sendPolygonStatus(wsClient, "error", `At most ${WS_MAX_SUBSCRIPTIONS_PER_CLIENT} subscriptions per connection`);
+        return;
+      }
+      addPolygonChannels(feed, mine, channels);
+      sendPolygonStatus(wsClient, "success", channels.map(c => `subscribed to: ${c}`));
+    } else {
+      removePolygonChannels(feed, mine, channels);
+      sendPolygonStatus(wsClient, "success", channels.map(c => `unsubscribed to: ${c}`));
+    }
   });
-  upstream.on("message", (msg) => { try { wsClient.send(msg.toString()); } catch { } });
-  wsClient.on("message", (msg) => { try { if (upstream.readyState === WebSocket.OPEN) upstream.send(msg.toString()); } catch { } });
-  const cleanup = () => { try { wsClient.close(); } catch { }; try { upstream.close(); } catch { }; };
-  wsClient.on("close", cleanup); wsClient.on("error", cleanup);
-  upstream.on("close", cleanup); upstream.on("error", cleanup);
+
+  const cleanup = () => {
+    if (!feed.clients.delete(wsClient)) return;
+    removePolygonChannels(feed, mine, Array.from(mine.channels));
+    releasePolygonUpstreamWhenIdle(feed);
+    try { wsClient.close(); } catch { }
+  };
+  wsClient.on("close", cleanup);
+  wsClient.on("error", cleanup);
 });
 
 scannerWss.on("connection", (wsClient) => {
-  scannerClients.add(wsClient);
+  scannerClients.set(wsClient, { filter: null, visible: new Set() });
 
   startScannerUniverseLoop();
   startScannerHeartbeat();
+  startScannerNewsLoop();
+  startScannerSessionLoop();
   if (MASSIVE_STOCKS_WS_URL) ensureMassiveUpstream();
 
   // Immediately emit snapshot.
-  safeSend(wsClient, { type: "snapshot", rows: Array.from(scannerRowsBySymbol.values()), ts: nowTs() });
+  sendScannerSnapshot(wsClient);
 
   wsClient.on("message", (msg) => {
-    // Optional: accept {type:"subscribe",channel:"scanner",session:"premarket|market|postmarket|all"}
-    // For now, session selection is server-driven; message is accepted for forward-compat but ignored.
-    try {
-      const parsed = JSON.parse(msg.toString());
-      if (parsed && parsed.type === "subscribe") {
-        // no-op (server controls universe/session); keep connection alive
+    // {type:"subscribe", filters:{...}} narrows this client's view (a top-level `session` is
+    // accepted for older clients); {type:"unsubscribe"} restores the full universe.
+    let parsed = null;
+    try { parsed = JSON.parse(msg.toString()); } catch { return; }
+    if (!parsed || typeof parsed !== "object") return;
+    const st = scannerClients.get(wsClient);
+    if (!st) return;
+    if (parsed.type === "subscribe") {
+      try {
+        const raw = parsed.filters ?? (parsed.session ? { session: parsed.session } : null);
+        st.filter = parseScannerFilter(raw);
+      } catch (e) {
+        safeSend(wsClient, { type: "error", message: String(e?.message || e), ts: nowTs() });
+        return;
       }
-    } catch { }
+      safeSend(wsClient, { type: "subscribed", filters: scannerFilterToJSON(st.filter), ts: nowTs() });
+      sendScannerSnapshot(wsClient);
+    } else if (parsed.type === "unsubscribe") {
+      st.filter = null;
+      safeSend(wsClient, { type: "subscribed", filters: null, ts: nowTs() });
+      sendScannerSnapshot(wsClient);
+    }
   });
 
   const cleanup = () => {
@@ -2223,21 +5563,38 @@ scannerWss.on("connection", (wsClient) => {
   wsClient.on("error", cleanup);
 });
 
-// --- Start -----------------------------------------------------------------
-server.listen(PORT, "0.0.0.0", () => {
-  console.log(`✅ polygon-proxy listening on ${PORT}`);
-  console.log(`   GET  http://0.0.0.0:${PORT}/gainers`);
-  console.log(`   GET  http://0.0.0.0:${PORT}/api/gainers`);
-  console.log(`   WS   ws://0.0.0.0:${PORT}/ws`);
-  console.log(`   WS   ws://0.0.0.0:${PORT}/ws/scanner`);
+sharedWss.on("connection", (wsClient) => {
+  startSharedTickersLoop();
+  void sendSharedTickersSnapshot(wsClient);
+
+  wsClient.on("message", (msg) => {
+    let parsed = null;
+    try { parsed = JSON.parse(msg.toString()); } catch { return; }
+    if (parsed?.type === "snapshot") void sendSharedTickersSnapshot(wsClient);
+  });
+  wsClient.on("error", () => { try { wsClient.close(); } catch { } });
 });
 
+// --- Start -----------------------------------------------------------------
+// `node server.js` listens; scripts/ and test/ require the module and start what they need.
+if (require.main === module) {
+  server.listen(PORT, "0.0.0.0", () => {
+    console.log(`✅ polygon-proxy listening on ${PORT}`);
+    console.log(`   GET  http://0.0.0.0:${PORT}/gainers`);
+    console.log(`   GET  http://0.0.0.0:${PORT}/api/gainers`);
+    console.log(`   WS   ws://0.0.0.0:${PORT}/ws`);
+    console.log(`   WS   ws://0.0.0.0:${PORT}/ws/scanner`);
+    console.log(`   WS   ws://0.0.0.0:${PORT}/ws/shared`);
+  });
+}
+
 // Graceful shutdown: stop accepting new connections, then exit
 const SHUTDOWN_GRACE_MS = parseInt(process.env.SHUTDOWN_GRACE_MS, 10) || 10000;
 function shutdown(sig) {
   console.log(`\n${sig} received, closing server…`);
   server.close(() => {
     console.log("Server closed.");
+    STATE_STORE.close();
     process.exit(0);
   });
   setTimeout(() => {
@@ -2247,3 +5604,34 @@ function shutdown(sig) {
 }
 process.on("SIGTERM", () => shutdown("SIGTERM"));
 process.on("SIGINT", () => shutdown("SIGINT"));
+
+module.exports = {
+  app,
+  server,
+  createRedisClient,
+  createRedisStore,
+  smaSeries,
+  emaSeries,
+  rsiSeries,
+  macdSeries,
+  atrSeries,
+  bollingerSeries,
+  vwapSeries,
+  stochasticSeries,
+  parseIndicatorSet,
+  computeIndicators,
+  createTtlCache,
+  cachedUpstream,
+  upstreamCacheMetrics,
+  UpstreamError,
+  UpstreamBusyError,
+  UpstreamUnavailableError,
+  runInBackgroundLane,
+  createRateGovernor,
+  createCircuitBreaker,
+  circuitBreakerMetrics,
+  upstreamGovernorMetrics,
+  fetchJsonWithPolicy,
+  isNetworkError,
+  isUpstreamOutage,
+};
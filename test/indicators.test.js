@@ -0,0 +1,219 @@
+// Indicator engine against published reference tables (StockCharts' RSI and EMA/SMA worksheets) and
+// hand-worked fixtures, plus the HTTP routes with the upstream stubbed.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+Object.assign(process.env, {
+  NODE_ENV: "test",
+  POLYGON_API_KEY: "test",
+  STATE_STORE: "memory",
+  REDIS_URL: "",
+  APP_TOKEN: "",
+  ADMIN_TOKEN: "",
+  AUTH_REQUIRED: "",
+  SHARED_TICKERS_FILE: "",
+  API_KEYS_FILE: "",
+});
+
+// Upstream REST is stubbed; requests to the app under test go through the real fetch.
+const realFetch = globalThis.fetch;
+const upstreamCalls = [];
+let dailyBars = () => [];
+globalThis.fetch = async (url, init) => {
+  const u = new URL(url);
+  if (u.hostname === "127.0.0.1") return realFetch(url, init);
+  upstreamCalls.push(u);
+  const results = /\/range\/1\/day\//.test(u.pathname) ? dailyBars(u) : [];
+  return new Response(JSON.stringify({ results }), { status: 200, headers: { "content-type": "application/json" } });
+};
+
+const m = require("../server.js");
+
+// Published tables are rounded to cents.
+function assertClose(actual, expected, tol = 0.005) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((v, i) => assert.ok(Math.abs(v - expected[i]) <= tol, `[${i}] ${v} vs ${expected[i]}`));
+}
+
+const RSI_CLOSES = [44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89, 46.03, 45.61, 46.28, 46.28,
+  46.00, 46.03, 46.41, 46.22, 45.64, 46.21, 46.25, 45.71, 46.45, 45.78, 45.35, 44.03, 44.18, 44.22, 44.57, 43.42, 42.66, 43.13];
+const RSI14 = [70.46, 66.25, 66.48, 69.35, 66.29, 57.92, 62.88, 63.21, 56.01, 62.34, 54.67, 50.39, 40.02, 41.49, 41.90,
+  45.50, 37.32, 33.09, 37.79];
+
+const EMA_CLOSES = [22.27, 22.19, 22.08, 22.17, 22.18, 22.13, 22.23, 22.43, 22.24, 22.29, 22.15, 22.39, 22.38, 22.61, 23.36,
+  24.05, 23.75, 23.83, 23.95, 23.63, 23.82, 23.87, 23.65, 23.19, 23.10, 23.33, 22.68, 23.10, 22.40, 22.17];
+const EMA10 = [22.22, 22.21, 22.24, 22.27, 22.33, 22.52, 22.80, 22.97, 23.13, 23.28, 23.34, 23.43, 23.51, 23.54, 23.47,
+  23.40, 23.39, 23.26, 23.23, 23.08, 22.92];
+const SMA10 = [22.22, 22.21, 22.23, 22.26, 22.31, 22.42, 22.61, 22.77, 22.91, 23.08, 23.21, 23.38, 23.53, 23.65, 23.71,
+  23.69, 23.61, 23.51, 23.43, 23.28, 23.13];
+
+test("rsiSeries uses Wilder smoothing", () => {
+  const rsi = m.rsiSeries(RSI_CLOSES, 14);
+  assert.deepEqual(rsi.slice(0, 14), new Array(14).fill(null));
+  assertClose(rsi.slice(14), RSI14);
+  assert.equal(m.rsiSeries([1, 2, 3, 4], 3)[3], 100);
+  assert.equal(m.rsiSeries([5, 5, 5, 5], 3)[3], 50);
+});
+
+test("emaSeries is seeded with the SMA of the first period", () => {
+  const ema = m.emaSeries(EMA_CLOSES, 10);
+  assert.deepEqual(ema.slice(0, 9), new Array(9).fill(null));
+  assert.equal(ema[9], m.smaSeries(EMA_CLOSES, 10)[9]);
+  assertClose(ema.slice(9), EMA10, 0.01);
+  assertClose(m.smaSeries(EMA_CLOSES, 10).slice(9), SMA10, 0.01);
+  // Leading nulls are skipped, so the seed starts at the first value.
+  assert.deepEqual(m.emaSeries([null, null, 1, 2, 3, 4], 3), [null, null, null, null, 2, 3]);
+});
+
+test("macdSeries on a ramp: an SMA-seeded EMA lags a line by (period - 1) / 2", () => {
+  const closes = Array.from({ length: 60 }, (_, i) => 100 + i);
+  const { macd, signal, histogram } = m.macdSeries(closes, 12, 26, 9);
+  assert.equal(macd[24], null);
+  assert.equal(signal[32], null);
+  for (let i = 25; i < 60; i++) assert.ok(Math.abs(macd[i] - 7) < 1e-9, `macd[${i}] ${macd[i]}`);
+  for (let i = 33; i < 60; i++) {
+    assert.ok(Math.abs(signal[i] - 7) < 1e-9, `signal[${i}]`);
+    assert.ok(Math.abs(histogram[i]) < 1e-9, `histogram[${i}]`);
+  }
+});
+
+test("atrSeries takes the true range across gaps and smooths it Wilder-style", () => {
+  const bars = [
+    { h: 10, l: 8, c: 9 },
+    { h: 11, l: 9, c: 10 },     // TR 2
+    { h: 12, l: 9, c: 11 },     // TR 3
+    { h: 11, l: 10, c: 10.5 },  // TR 1 (high - low; prior close inside)
+    { h: 15, l: 14, c: 14.5 },  // TR 4.5 (gap up from 10.5)
+  ];
+  const atr = m.atrSeries(bars, 3);
+  assert.deepEqual(atr.slice(0, 3), [null, null, null]);
+  assert.equal(atr[3], 2);
+  assert.ok(Math.abs(atr[4] - 8.5 / 3) < 1e-12);
+});
+
+test("bollingerSeries uses the population standard deviation", () => {
+  const { middle, upper, lower } = m.bollingerSeries([1, 2, 3, 4, 5, 6], 5, 2);
+  assert.equal(middle[3], null);
+  assert.equal(middle[4], 3);
+  assert.ok(Math.abs(upper[4] - (3 + 2 * Math.SQRT2)) < 1e-12);
+  assert.ok(Math.abs(lower[4] - (3 - 2 * Math.SQRT2)) < 1e-12);
+  assert.equal(middle[5], 4);
+});
+
+test("stochasticSeries: %K over the high/low range, %D its SMA", () => {
+  const bars = [
+    { h: 10, l: 8, c: 9 },
+    { h: 12, l: 9, c: 11 },
+    { h: 11, l: 7, c: 8 },
+    { h: 13, l: 10, c: 13 },
+    { h: 12, l: 11, c: 11 },
+  ];
+  const { k, d } = m.stochasticSeries(bars, 3, 2);
+  assert.deepEqual(k.slice(0, 2), [null, null]);
+  assert.equal(k[2], 20);               // (8 - 7) / (12 - 7)
+  assert.equal(k[3], 100);              // close at the 13 high
+  assert.equal(k[4], 4 / 6 * 100);      // (11 - 7) / (13 - 7)
+  assert.deepEqual(d.slice(0, 3), [null, null, null]);
+  assert.equal(d[3], 60);
+  assert.equal(d[4], (100 + 4 / 6 * 100) / 2);
+  assert.equal(m.stochasticSeries([{ h: 5, l: 5, c: 5 }], 1, 1).k[0], 50);
+});
+
+test("vwapSeries re-anchors on the NY trading date, not the UTC date", () => {
+  const at = (iso) => Date.parse(iso);
+  const bars = [
+    { t: at("2026-10-15T23:00:00Z"), h: 10, l: 10, c: 10, v: 100 },        // 19:00 ET Oct 15
+    { t: at("2026-10-16T00:30:00Z"), h: 13, l: 13, c: 13, v: 200 },        // 20:30 ET Oct 15 (new UTC day)
+    { t: at("2026-10-16T08:00:00Z"), h: 20, l: 20, c: 20, v: 50, vw: 21 }, // 04:00 ET Oct 16
+    { t: at("2026-10-16T08:01:00Z"), h: 20, l: 20, c: 20, v: 0 },
+  ];
+  assert.deepEqual(m.vwapSeries(bars), [10, (10 * 100 + 13 * 200) / 300, 21, 21]);
+});
+
+test("computeIndicators aligns each series to the last `points` bars", () => {
+  const bars = EMA_CLOSES.map((c, i) => ({ t: i, o: c, h: c + 0.1, l: c - 0.1, c }));
+  const out = m.computeIndicators(bars, m.parseIndicatorSet("ema10,sma10,bb10_2"), 3);
+  assert.deepEqual(out.t, [27, 28, 29]);
+  assert.deepEqual(out.indicators.ema10.params, [10]);
+  assert.equal(out.indicators.ema10.value.length, 3);
+  assertClose([out.indicators.ema10.last], [EMA10[EMA10.length - 1]], 0.01);
+  assert.deepEqual(Object.keys(out.indicators.bb10_2.last), ["middle", "upper", "lower"]);
+  assert.throws(() => m.parseIndicatorSet("rsi14,nope"), /Unknown indicator: nope/);
+  assert.throws(() => m.parseIndicatorSet(""), /set is required/);
+});
+
+// --- Routes --------------------------------------------------------------------
+
+let base;
+test.before(async () => {
+  await new Promise(resolve => m.server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${m.server.address().port}`;
+});
+test.after(() => m.server.close());
+
+const get = async (path) => {
+  const r = await fetch(`${base}${path}`);
+  return { status: r.status, body: await r.json() };
+};
+
+// Daily bars ending yesterday, one per calendar day, closes 100, 101, ...
+function dailyFixture(n) {
+  const day = 86400000;
+  const end = Date.now() - day;
+  return Array.from({ length: n }, (_, i) => ({ t: end - (n - 1 - i) * day, o: 100 + i, h: 101 + i, l: 99 + i, c: 100 + i, v: 1000 }));
+}
+
+function lastDailyRequest(symbol) {
+  return upstreamCalls.filter(u => u.pathname.startsWith(`/v2/aggs/ticker/${symbol}/range/1/day/`)).pop();
+}
+
+// The route asks for `bars` daily bars; lookbackDaysFor(day) covers them with 1.5x calendar days + 10.
+function expectedFromDate(bars) {
+  return new Date(Date.now() - (Math.ceil(bars * 1.5) + 10) * 86400000)
+    .toLocaleDateString("en-CA", { timeZone: "America/New_York" });
+}
+
+test("GET /api/indicators/:symbol returns aligned series", async () => {
+  dailyBars = () => dailyFixture(200);
+  const { status, body } = await get("/api/indicators/IND?set=rsi14,ema9,macd&timespan=1day&limit=5");
+  assert.equal(status, 200);
+  assert.equal(body.symbol, "IND");
+  assert.equal(body.timespan, "1day");
+  assert.equal(body.points, 5);
+  assert.deepEqual(body.close, [295, 296, 297, 298, 299]);
+  assert.deepEqual(body.indicators.rsi14.value, [100, 100, 100, 100, 100]);
+  assert.equal(body.indicators.ema9.last, 295);        // ramp lags by (9 - 1) / 2
+  assert.deepEqual(body.indicators.macd.last, { macd: 7, signal: 7, histogram: 0 });
+});
+
+test("GET /api/indicators/:symbol rejects bad input with 400", async () => {
+  assert.equal((await get("/api/indicators/IND?set=bogus")).status, 400);
+  assert.equal((await get("/api/indicators/IND?set=rsi14&timespan=3fortnight")).status, 400);
+});
+
+for (const route of ["ema21", "ema-trend"]) {
+  test(`GET /api/${route}/:symbol looks back 60 daily bars by default`, async () => {
+    const symbol = route === "ema21" ? "EMADEF" : "TRENDDEF";
+    dailyBars = () => dailyFixture(80);
+    const { status, body } = await get(`/api/${route}/${symbol}`);
+    assert.equal(status, 200);
+    assert.equal(body.data_points, 60);
+    assert.equal(lastDailyRequest(symbol).pathname.split("/")[8], expectedFromDate(60));
+    if (route === "ema21") {
+      assert.equal(body.ema21, 179 - 10);             // closes 120..179: lag (21 - 1) / 2
+      assert.equal(body.above_ema21, true);
+    } else {
+      assert.equal(body.ema9, 179 - 4);
+      assert.equal(body.ema21, 179 - 10);
+      assert.equal(body.trend, "bullish");
+    }
+  });
+
+  test(`GET /api/${route}/:symbol falls back to 60 for a non-numeric days_back`, async () => {
+    const symbol = route === "ema21" ? "EMANAN" : "TRENDNAN";
+    dailyBars = () => dailyFixture(80);
+    const { body } = await get(`/api/${route}/${symbol}?days_back=abc`);
+    assert.equal(body.data_points, 60);
+    assert.equal(lastDailyRequest(symbol).pathname.split("/")[8], expectedFromDate(60));
+  });
+}
@@ -0,0 +1,200 @@
+// createTtlCache (TTL, stale window, LRU and byte bounds) and cachedUpstream (single-flight,
+// stale-while-revalidate, last-known-good, errors never cached). The clock is Date.now, mocked per test.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+Object.assign(process.env, {
+  NODE_ENV: "test",
+  POLYGON_API_KEY: "test",
+  STATE_STORE: "memory",
+  REDIS_URL: "",
+  APP_TOKEN: "",
+  ADMIN_TOKEN: "",
+  AUTH_REQUIRED: "",
+  SHARED_TICKERS_FILE: "",
+  API_KEYS_FILE: "",
+});
+
+const m = require("../server.js");
+
+function mockClock(t) {
+  const clock = { now: 1_000_000 };
+  t.mock.method(Date, "now", () => clock.now);
+  return clock;
+}
+
+// Resolves when the caller says so; counts calls.
+function controlledFetcher() {
+  const f = async () => {
+    f.calls += 1;
+    return new Promise((resolve, reject) => f.pending.push({ resolve, reject }));
+  };
+  f.calls = 0;
+  f.pending = [];
+  return f;
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// A daily-aggs path: cached 60s fresh + 5 min stale by UPSTREAM_CACHE_RULES.
+let n = 0;
+const cachedPath = () => `/v2/aggs/ticker/T${++n}/range/1/day/2026-01-01/2026-02-01`;
+const stats = () => m.upstreamCacheMetrics();
+
+test("createTtlCache: get is fresh-only, peek serves the stale window, then the entry expires", (t) => {
+  const clock = mockClock(t);
+  const c = m.createTtlCache(10);
+  c.set("k", "v", 1000, 5000);
+  assert.equal(c.get("k"), "v");
+  clock.now += 1001;
+  assert.equal(c.get("k"), null);
+  assert.equal(c.peek("k").val, "v");
+  clock.now += 5000;
+  assert.equal(c.peek("k"), null);
+  assert.equal(c.size, 0);
+  assert.deepEqual(c.stats, { hits: 1, misses: 1 });
+});
+
+test("createTtlCache: evicts the least recently used entry when full", (t) => {
+  mockClock(t);
+  const c = m.createTtlCache(3);
+  c.set("a", 1, 1000);
+  c.set("b", 2, 1000);
+  c.set("c", 3, 1000);
+  assert.equal(c.get("a"), 1); // a is now most recent
+  c.set("d", 4, 1000);
+  assert.equal(c.get("b"), null);
+  assert.deepEqual(["a", "c", "d"].map(k => c.get(k)), [1, 3, 4]);
+  assert.equal(c.size, 3);
+});
+
+test("createTtlCache: maxBytes bounds the approximate size and skips oversized values", (t) => {
+  mockClock(t);
+  const c = m.createTtlCache(100, { maxBytes: 30 });
+  const ten = "x".repeat(8); // JSON length 10
+  c.set("a", ten, 1000);
+  c.set("b", ten, 1000);
+  c.set("c", ten, 1000);
+  assert.equal(c.bytes, 30);
+  c.set("d", ten, 1000);
+  assert.equal(c.get("a"), null);
+  assert.equal(c.bytes, 30);
+  c.set("big", "y".repeat(40), 1000);
+  assert.equal(c.get("big"), null);
+  assert.equal(c.size, 3);
+  c.set("b", "z", 1000); // replacing an entry releases its bytes
+  assert.equal(c.bytes, 23);
+  c.delete("b");
+  assert.equal(c.bytes, 20);
+});
+
+test("cachedUpstream: concurrent misses share one upstream call", async (t) => {
+  mockClock(t);
+  const path = cachedPath();
+  const fetcher = controlledFetcher();
+  const before = stats();
+  const calls = Array.from({ length: 5 }, () => m.cachedUpstream("Polygon", path, { a: 1 }, fetcher));
+  await tick();
+  assert.equal(fetcher.calls, 1);
+  fetcher.pending[0].resolve({ results: [1] });
+  for (const r of await Promise.all(calls)) assert.deepEqual(r, { results: [1] });
+  assert.equal(stats().misses - before.misses, 1);
+  assert.equal(stats().coalesced - before.coalesced, 4);
+
+  // Then a fresh hit, with params in any order.
+  assert.deepEqual(await m.cachedUpstream("Polygon", path, { a: 1, b: null }, fetcher), { results: [1] });
+  assert.equal(fetcher.calls, 1);
+});
+
+test("cachedUpstream: paths without a rule are coalesced but not cached", async (t) => {
+  mockClock(t);
+  const fetcher = controlledFetcher();
+  const calls = [1, 2].map(() => m.cachedUpstream("Polygon", "/v1/uncached", {}, fetcher));
+  await tick();
+  fetcher.pending[0].resolve("once");
+  assert.deepEqual(await Promise.all(calls), ["once", "once"]);
+  const again = m.cachedUpstream("Polygon", "/v1/uncached", {}, fetcher);
+  await tick();
+  assert.equal(fetcher.calls, 2);
+  fetcher.pending[1].resolve("twice");
+  assert.equal(await again, "twice");
+});
+
+test("cachedUpstream: errors are not cached", async (t) => {
+  mockClock(t);
+  const path = cachedPath();
+  const fetcher = controlledFetcher();
+  const calls = [1, 2].map(() => m.cachedUpstream("Polygon", path, {}, fetcher));
+  await tick();
+  fetcher.pending[0].reject(new m.UpstreamError("Polygon 404", { service: "Polygon", status: 404 }));
+  for (const r of await Promise.allSettled(calls)) assert.equal(r.reason?.status, 404);
+
+  const retry = m.cachedUpstream("Polygon", path, {}, fetcher);
+  await tick();
+  assert.equal(fetcher.calls, 2);
+  fetcher.pending[1].resolve("ok");
+  assert.equal(await retry, "ok");
+});
+
+test("cachedUpstream: a stale hit is served at once while one background refresh runs", async (t) => {
+  const clock = mockClock(t);
+  const path = cachedPath();
+  const fetcher = controlledFetcher();
+  const first = m.cachedUpstream("Polygon", path, {}, fetcher);
+  await tick();
+  fetcher.pending[0].resolve("v1");
+  assert.equal(await first, "v1");
+
+  clock.now += 61_000; // past the 60s TTL, inside the stale window
+  const before = stats();
+  assert.equal(await m.cachedUpstream("Polygon", path, {}, fetcher), "v1");
+  assert.equal(await m.cachedUpstream("Polygon", path, {}, fetcher), "v1");
+  assert.equal(fetcher.calls, 2, "one refresh for both stale reads");
+  assert.equal(stats().staleHits - before.staleHits, 2);
+
+  fetcher.pending[1].resolve("v2");
+  await tick();
+  assert.equal(await m.cachedUpstream("Polygon", path, {}, fetcher), "v2");
+  assert.equal(fetcher.calls, 2);
+});
+
+test("cachedUpstream: a failed background refresh keeps serving the stale copy", async (t) => {
+  const clock = mockClock(t);
+  const path = cachedPath();
+  const fetcher = controlledFetcher();
+  const first = m.cachedUpstream("Polygon", path, {}, fetcher);
+  await tick();
+  fetcher.pending[0].resolve("v1");
+  await first;
+
+  clock.now += 61_000;
+  const before = stats();
+  assert.equal(await m.cachedUpstream("Polygon", path, {}, fetcher), "v1");
+  fetcher.pending[1].reject(new Error("boom"));
+  await tick();
+  assert.equal(stats().refreshErrors - before.refreshErrors, 1);
+  assert.equal(await m.cachedUpstream("Polygon", path, {}, fetcher), "v1");
+  assert.equal(fetcher.calls, 3, "the next stale read retries the refresh");
+});
+
+test("cachedUpstream: past the stale window, an outage falls back to last-known-good", async (t) => {
+  const clock = mockClock(t);
+  const path = cachedPath();
+  const fetcher = controlledFetcher();
+  const first = m.cachedUpstream("Polygon", path, {}, fetcher);
+  await tick();
+  fetcher.pending[0].resolve("good");
+  await first;
+
+  clock.now += 10 * 60_000; // beyond TTL + stale, within the last-known-good age
+  const outage = m.cachedUpstream("Polygon", path, {}, fetcher);
+  await tick();
+  fetcher.pending[1].reject(new m.UpstreamError("Polygon 503", { service: "Polygon", status: 503 }));
+  assert.equal(await outage, "good");
+
+  // A client error is not an outage: it surfaces instead of the old body.
+  const notFound = m.cachedUpstream("Polygon", path, {}, fetcher);
+  await tick();
+  fetcher.pending[2].reject(new m.UpstreamError("Polygon 404", { service: "Polygon", status: 404 }));
+  await assert.rejects(notFound, { status: 404 });
+});
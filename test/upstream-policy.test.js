@@ -0,0 +1,209 @@
+// Upstream policy: rate governor lanes, circuit breaker states, fetchJsonWithPolicy retries / Retry-After,
+// and which errors count as an outage (network failures yes, programming TypeErrors no).
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+Object.assign(process.env, {
+  NODE_ENV: "test",
+  POLYGON_API_KEY: "test",
+  STATE_STORE: "memory",
+  REDIS_URL: "",
+  APP_TOKEN: "",
+  ADMIN_TOKEN: "",
+  AUTH_REQUIRED: "",
+  SHARED_TICKERS_FILE: "",
+  API_KEYS_FILE: "",
+  UPSTREAM_QUEUE_MAX: "3",
+  UPSTREAM_RETRIES: "1",
+  UPSTREAM_TIMEOUT_MS: "200",
+  BREAKER_FAILURE_THRESHOLD: "2",
+  BREAKER_COOLDOWN_MS: "30000",
+});
+
+// Each test installs its own upstream; requests to the app under test go through the real fetch.
+const realFetch = globalThis.fetch;
+let upstream = async () => { throw new Error("no upstream stub installed"); };
+globalThis.fetch = (url, init) => (new URL(url).hostname === "127.0.0.1" ? realFetch(url, init) : upstream(url, init));
+
+const m = require("../server.js");
+
+const json = (body, status = 200, headers = {}) =>
+  new Response(JSON.stringify(body), { status, headers: { "content-type": "application/json", ...headers } });
+
+function fetchFailed(code) {
+  const cause = Object.assign(new Error(`connect ${code}`), { code });
+  return new TypeError("fetch failed", { cause });
+}
+
+// --- Rate governor -------------------------------------------------------------
+
+test("governor: interactive callers drain before background ones", async () => {
+  const g = m.createRateGovernor("Test", 20); // burst 20, one token per 50ms after that
+  for (let i = 0; i < 20; i++) await g.acquire();
+  const order = [];
+  const waits = [
+    g.acquire("background").then(() => order.push("bg1")),
+    g.acquire("background").then(() => order.push("bg2")),
+    g.acquire("interactive").then(() => order.push("int1")),
+    m.runInBackgroundLane(() => g.acquire()).then(() => order.push("bg3")),
+  ];
+  assert.deepEqual(g.metrics().queued, { interactive: 1, background: 3 });
+  await Promise.all(waits);
+  assert.deepEqual(order, ["int1", "bg1", "bg2", "bg3"]);
+  assert.equal(g.metrics().granted, 24);
+});
+
+test("governor: a full lane sheds with UpstreamBusyError", async () => {
+  const g = m.createRateGovernor("Test", 50);
+  for (let i = 0; i < 50; i++) await g.acquire();
+  const queued = [1, 2, 3].map(() => g.acquire("background"));
+  await assert.rejects(g.acquire("background"), (e) => e instanceof m.UpstreamBusyError && e.lane === "background");
+  assert.equal(g.metrics().shed, 1);
+  await Promise.all(queued);
+});
+
+test("governor: throttle stops issuing tokens for the backoff", async () => {
+  const g = m.createRateGovernor("Test", 100);
+  g.throttle(150);
+  const t0 = Date.now();
+  await g.acquire();
+  assert.ok(Date.now() - t0 >= 140, `waited ${Date.now() - t0}ms`);
+  assert.equal(g.metrics().throttled, 1);
+});
+
+// --- Circuit breaker -----------------------------------------------------------
+
+test("breaker: opens after the threshold, half-opens after the cooldown for a single probe", (t) => {
+  const clock = { now: 5_000_000 };
+  t.mock.method(Date, "now", () => clock.now);
+  const b = m.createCircuitBreaker("Test");
+  b.failure(new Error("503"));
+  assert.equal(b.state, "closed");
+  b.failure(new Error("503"));
+  assert.equal(b.state, "open");
+
+  clock.now += 10_000;
+  assert.throws(() => b.check(), (e) => e instanceof m.UpstreamUnavailableError && e.retryInMs === 20_000);
+  assert.equal(b.metrics().rejected, 1);
+
+  clock.now += 20_000;
+  assert.equal(b.state, "half_open");
+  b.enter(); // claims the probe
+  assert.throws(() => b.enter(), m.UpstreamUnavailableError);
+  b.failure(new Error("still down"));
+  assert.equal(b.state, "open", "a failed probe re-opens");
+
+  clock.now += 30_000;
+  b.enter();
+  b.success();
+  assert.equal(b.state, "closed");
+  assert.equal(b.metrics().consecutiveFailures, 0);
+  assert.equal(b.metrics().opened, 2);
+});
+
+test("breaker: a success resets the consecutive failure count", () => {
+  const b = m.createCircuitBreaker("Test");
+  b.failure(new Error("x"));
+  b.success();
+  b.failure(new Error("x"));
+  assert.equal(b.state, "closed");
+});
+
+// --- fetchJsonWithPolicy (Massive's governor/breaker; Polygon is left for the route test) ---
+
+test("fetchJsonWithPolicy: retries a 5xx and returns the next body", async () => {
+  const statuses = [502, 200];
+  upstream = async () => { const s = statuses.shift(); return json({ s }, s); };
+  assert.deepEqual(await m.fetchJsonWithPolicy("https://upstream.test/a", { service: "Massive" }), { s: 200 });
+  assert.equal(statuses.length, 0);
+  assert.equal(m.circuitBreakerMetrics().Massive.state, "closed");
+});
+
+test("fetchJsonWithPolicy: does not retry a 4xx, which also proves the service is up", async () => {
+  let calls = 0;
+  upstream = async () => { calls += 1; return json({ error: "nope" }, 404); };
+  await assert.rejects(m.fetchJsonWithPolicy("https://upstream.test/b", { service: "Massive" }),
+    (e) => e instanceof m.UpstreamError && e.status === 404 && e.body.includes("nope"));
+  assert.equal(calls, 1);
+  assert.equal(m.circuitBreakerMetrics().Massive.consecutiveFailures, 0);
+});
+
+test("fetchJsonWithPolicy: honours Retry-After on 429 and throttles the governor", async () => {
+  const at = [];
+  upstream = async () => {
+    at.push(Date.now());
+    return at.length === 1 ? json({}, 429, { "retry-after": "1" }) : json({ ok: true });
+  };
+  const throttled = m.upstreamGovernorMetrics().Massive.throttled;
+  assert.deepEqual(await m.fetchJsonWithPolicy("https://upstream.test/c", { service: "Massive" }), { ok: true });
+  assert.ok(at[1] - at[0] >= 990, `retried after ${at[1] - at[0]}ms`);
+  assert.equal(m.upstreamGovernorMetrics().Massive.throttled, throttled + 1);
+});
+
+test("fetchJsonWithPolicy: times out, retries, then opens the breaker and fails fast", async () => {
+  let calls = 0;
+  upstream = (url, { signal }) => new Promise((_, reject) => {
+    calls += 1;
+    signal.addEventListener("abort", () => reject(signal.reason));
+  });
+  await assert.rejects(m.fetchJsonWithPolicy("https://upstream.test/d", { service: "Massive" }), /Upstream timeout/);
+  assert.equal(calls, 2);
+  assert.equal(m.circuitBreakerMetrics().Massive.state, "open");
+  await assert.rejects(m.fetchJsonWithPolicy("https://upstream.test/d", { service: "Massive" }), m.UpstreamUnavailableError);
+  assert.equal(calls, 2, "no network call while open");
+});
+
+// --- Outage classification (network errors only) ------------------------------------
+
+test("isNetworkError / isUpstreamOutage: network failures and 5xx/429 are outages, bugs and 4xx are not", () => {
+  assert.equal(m.isNetworkError(fetchFailed("ECONNRESET")), true);
+  assert.equal(m.isNetworkError(Object.assign(new Error("refused"), { code: "ECONNREFUSED" })), true);
+  assert.equal(m.isNetworkError(new TypeError("fetch failed")), true);
+  assert.equal(m.isNetworkError(new TypeError("Cannot read properties of undefined (reading 'results')")), false);
+
+  assert.equal(m.isUpstreamOutage(fetchFailed("ENOTFOUND")), true);
+  assert.equal(m.isUpstreamOutage(new TypeError("x is not a function")), false);
+  assert.equal(m.isUpstreamOutage(new Error("Upstream timeout")), true);
+  assert.equal(m.isUpstreamOutage(Object.assign(new Error("aborted"), { name: "AbortError" })), true);
+  assert.equal(m.isUpstreamOutage(new m.UpstreamError("x", { status: 503 })), true);
+  assert.equal(m.isUpstreamOutage(new m.UpstreamError("x", { status: 429 })), true);
+  assert.equal(m.isUpstreamOutage(new m.UpstreamError("x", { status: 404 })), false);
+  assert.equal(m.isUpstreamOutage(new m.UpstreamError("x", {})), true);
+  assert.equal(m.isUpstreamOutage(new m.UpstreamBusyError("Polygon", "interactive", 3)), true);
+  assert.equal(m.isUpstreamOutage(new m.UpstreamUnavailableError("Polygon", 1000)), true);
+});
+
+test("cachedUpstream serves last-known-good for a network error but not for a TypeError bug", async (t) => {
+  const clock = { now: Date.now() };
+  t.mock.method(Date, "now", () => clock.now);
+  const path = "/v2/aggs/ticker/LKG/range/1/day/2026-01-01/2026-02-01";
+  assert.equal(await m.cachedUpstream("Polygon", path, {}, async () => "good"), "good");
+  clock.now += 10 * 60_000; // past TTL + stale window
+  assert.equal(await m.cachedUpstream("Polygon", path, {}, async () => { throw fetchFailed("ECONNRESET"); }), "good");
+  await assert.rejects(
+    m.cachedUpstream("Polygon", path, {}, async () => { throw new TypeError("data.map is not a function"); }),
+    /data\.map is not a function/);
+});
+
+// --- Routes answer 503 + Retry-After while the circuit is open --------------------
+
+test("routes answer 503 with Retry-After while Polygon's circuit is open", async (t) => {
+  await new Promise(resolve => m.server.listen(0, "127.0.0.1", resolve));
+  t.after(() => m.server.close());
+  const base = `http://127.0.0.1:${m.server.address().port}`;
+
+  let calls = 0;
+  upstream = async () => { calls += 1; return json({ error: "down" }, 503); };
+  // Threshold 2 with one retry: the first request opens the circuit.
+  const first = await fetch(`${base}/api/indicators/OPEN?set=rsi14`);
+  assert.equal(first.status, 502);
+  assert.equal(calls, 2);
+  assert.equal(m.circuitBreakerMetrics().Polygon.state, "open");
+
+  const res = await fetch(`${base}/api/indicators/OPENB?set=rsi14`);
+  assert.equal(res.status, 503);
+  const retryAfter = Number(res.headers.get("retry-after"));
+  assert.ok(retryAfter >= 1 && retryAfter <= 30, `Retry-After ${retryAfter}`);
+  assert.equal((await res.json()).service, "Polygon");
+  assert.equal(calls, 2);
+});